@@ -0,0 +1,570 @@
+import { CanvasObject, NodeProperty } from "./scene.js";
+
+class RemoveAfterDelay extends CanvasObject {
+  #targetObject;
+  #removeDelay;
+  #elapsedMs = 0;
+  #scene;
+
+  /**
+   * @param {CanvasObject} targetObject
+   * @param {Scene} scene
+   * @param {number} removeDelay
+   */
+  constructor(targetObject, scene, removeDelay) {
+    super(...targetObject.position());
+    this.#targetObject = targetObject;
+    this.#removeDelay = removeDelay;
+    this.#scene = scene;
+  }
+
+  render(canvas, dt = 0) {
+    if (this.#elapsedMs < this.#removeDelay) {
+      this.#elapsedMs += dt;
+      this.#targetObject.draw(canvas, dt);
+    } else {
+      this.#scene.removeObject(this.#targetObject);
+      this.#scene.removeObject(this);
+    }
+
+    return this;
+  }
+}
+
+class FallParabolicAnimation extends CanvasObject {
+  #targetObject;
+  #distancePerTick;
+  #ticker;
+  #initialTop;
+  #parabolicConstant;
+
+  /**
+   * @param {CanvasObject} targetObject
+   * @param {Ticker} ticker
+   * @param {number} distancePerTick
+   */
+  constructor(
+    targetObject,
+    ticker,
+    distancePerTick = 16,
+    parabolicConstant = 10
+  ) {
+    super(...targetObject.position());
+    this.#targetObject = targetObject;
+    this.#distancePerTick = distancePerTick;
+    this.#ticker = ticker;
+    this.#initialTop = this._top;
+    this.#parabolicConstant = parabolicConstant;
+  }
+
+  render(canvas, dt = this.#ticker.deltaMs()) {
+    const nextStep = dt / this.#distancePerTick;
+    this.#targetObject.move(
+      (top) => top + nextStep,
+      (left, top) => {
+        const deltaFromInitial = top - this.#initialTop;
+        return left + (this.#parabolicConstant * 2) / deltaFromInitial;
+      }
+    );
+    this.#targetObject.draw(canvas, dt);
+    return this;
+  }
+}
+
+class FallAnimation extends CanvasObject {
+  #targetObject;
+  #distancePerTick;
+  #ticker;
+
+  /**
+   * @param {CanvasObject} targetObject
+   * @param {Ticker} ticker
+   * @param {number} distancePerTick
+   */
+  constructor(targetObject, ticker, distancePerTick = 16) {
+    super(...targetObject.position());
+    this.#targetObject = targetObject;
+    this.#distancePerTick = distancePerTick;
+    this.#ticker = ticker;
+  }
+
+  render(canvas, dt = this.#ticker.deltaMs()) {
+    this.#targetObject.move(
+      (top) => top + dt / this.#distancePerTick,
+      (left) => left
+    );
+    this.#targetObject.draw(canvas, dt);
+    return this;
+  }
+}
+
+class Easing {
+  static linear(t) {
+    return t;
+  }
+
+  static easeInQuad(t) {
+    return t * t;
+  }
+
+  static easeOutQuad(t) {
+    return t * (2 - t);
+  }
+
+  static easeInOutQuad(t) {
+    return t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2;
+  }
+
+  static easeInCubic(t) {
+    return t ** 3;
+  }
+
+  static easeOutCubic(t) {
+    return 1 - (1 - t) ** 3;
+  }
+
+  static easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2;
+  }
+
+  static easeInOutSine(t) {
+    return -(Math.cos(Math.PI * t) - 1) / 2;
+  }
+
+  static easeOutBack(t) {
+    return 1 + 2.70158 * (t - 1) ** 3 + 1.70158 * (t - 1) ** 2;
+  }
+
+  static easeOutBounce(t) {
+    const n = 7.5625;
+    const d = 2.75;
+    if (t < 1 / d) {
+      return n * t * t;
+    }
+    if (t < 2 / d) {
+      return n * (t -= 1.5 / d) * t + 0.75;
+    }
+    if (t < 2.5 / d) {
+      return n * (t -= 2.25 / d) * t + 0.9375;
+    }
+    return n * (t -= 2.625 / d) * t + 0.984375;
+  }
+}
+
+class Animation {
+  #lastTime = null;
+  #completeFns = [];
+  #finished = null;
+  #resolveFinished = null;
+  #player = null;
+
+  /**
+   * @returns {number} ms, Infinity for endless repeats
+   */
+  duration() {
+    return 0;
+  }
+
+  /**
+   * Applies the state at the given ms from the start
+   * @param {number} time
+   */
+  seek(time) {
+    const clamped = Math.min(Math.max(0, time), this.duration());
+    if (clamped !== this.#lastTime) {
+      this.#lastTime = clamped;
+      this._apply(clamped);
+    }
+    return this;
+  }
+
+  isStarted() {
+    return this.#lastTime !== null;
+  }
+
+  /**
+   * Back to the start, keeping the captured start values
+   */
+  rewind() {
+    this.#lastTime = null;
+    return this;
+  }
+
+  /**
+   * Back to the start, start values are captured again on the next seek
+   */
+  reset() {
+    return this.rewind();
+  }
+
+  /**
+   * @param {Function} fn called with true when done, false when stopped
+   */
+  onComplete(fn) {
+    this.#completeFns.push(fn);
+    return this;
+  }
+
+  /**
+   * @returns {Promise<boolean>}
+   */
+  finished() {
+    if (!this.#finished) {
+      this.#finished = new Promise((resolve) => {
+        this.#resolveFinished = resolve;
+      });
+    }
+    return this.#finished;
+  }
+
+  /**
+   * @param {Scene} scene
+   */
+  play(scene) {
+    this.stop();
+    this.reset();
+    this.#finished = this.#resolveFinished ? this.#finished : null;
+    this.#player = new AnimationPlayer(this);
+    scene.addObject(this.#player);
+    return this;
+  }
+
+  stop() {
+    if (this.#player) {
+      this.#player.remove();
+      this.#player = null;
+      this._complete(false);
+    }
+    return this;
+  }
+
+  _apply() {}
+
+  _complete(done) {
+    this.#player = null;
+    this.#completeFns.forEach((fn) => fn(done));
+    this.finished();
+    this.#resolveFinished(done);
+    this.#resolveFinished = null;
+  }
+}
+
+class AnimationPlayer extends CanvasObject {
+  #animation;
+  #time = 0;
+
+  /**
+   * @param {Animation} animation
+   */
+  constructor(animation) {
+    super(0, 0);
+    this.#animation = animation;
+  }
+
+  render(canvas, dt = 0) {
+    this.#time += dt;
+    this.#animation.seek(this.#time);
+    if (this.#time >= this.#animation.duration()) {
+      this.remove();
+      this.#animation._complete(true);
+    }
+    return this;
+  }
+}
+
+class TweenColor {
+  /**
+   * @param {string} color "#rgb", "#rrggbb", "rgb()" or "rgba()"
+   * @returns {number[]} [r, g, b, a]
+   */
+  static parse(color) {
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+    if (hex) {
+      const digits =
+        hex[1].length === 3 ? hex[1].replace(/./g, "$&$&") : hex[1];
+      return [0, 2, 4]
+        .map((at) => parseInt(digits.slice(at, at + 2), 16))
+        .concat(1);
+    }
+
+    const channels = /^rgba?\(([^)]+)\)$/i.exec(color);
+    if (!channels) {
+      throw Error(`can not tween color ${color}`);
+    }
+    const [r, g, b, a = 1] = channels[1].split(",").map(Number);
+    return [r, g, b, a];
+  }
+
+  /**
+   * @param {string} from
+   * @param {string} to
+   * @param {number} t
+   */
+  static mix(from, to, t) {
+    const [fromColor, toColor] = [from, to].map(TweenColor.parse);
+    const [r, g, b] = [0, 1, 2].map((i) =>
+      Math.round(fromColor[i] + (toColor[i] - fromColor[i]) * t)
+    );
+    const a = fromColor[3] + (toColor[3] - fromColor[3]) * t;
+    return `rgba(${r}, ${g}, ${b}, ${a})`;
+  }
+}
+
+class Tween extends Animation {
+  #target;
+  #to;
+  #durationMs;
+  #easing;
+  #from = null;
+
+  /**
+   * Tweens numbers and colours of a node (through `name()`/`setName()`,
+   * `top`/`left` and `scale`) or of a plain object
+   * @param {CanvasObject|object} target
+   * @param {object} to property name to the final value
+   * @param {number} durationMs
+   * @param {Function} easing
+   */
+  constructor(target, to, durationMs, easing = Easing.linear) {
+    super();
+    this.#target = target;
+    this.#to = to;
+    this.#durationMs = durationMs;
+    this.#easing = easing;
+  }
+
+  duration() {
+    return this.#durationMs;
+  }
+
+  reset() {
+    this.#from = null;
+    return super.reset();
+  }
+
+  _apply(time) {
+    if (!this.#from) {
+      this.#from = Object.fromEntries(
+        Object.keys(this.#to).map((name) => [
+          name,
+          NodeProperty.get(this.#target, name),
+        ])
+      );
+    }
+
+    const t = this.#easing(this.#durationMs ? time / this.#durationMs : 1);
+    Object.entries(this.#to).forEach(([name, to]) => {
+      const from = this.#from[name];
+      NodeProperty.set(
+        this.#target,
+        name,
+        typeof to === "string"
+          ? TweenColor.mix(from, to, t)
+          : from + (to - from) * t
+      );
+    });
+  }
+}
+
+class Delay extends Animation {
+  #durationMs;
+
+  /**
+   * @param {number} durationMs
+   */
+  constructor(durationMs) {
+    super();
+    this.#durationMs = durationMs;
+  }
+
+  duration() {
+    return this.#durationMs;
+  }
+}
+
+class Call extends Animation {
+  #fn;
+  #called = false;
+
+  /**
+   * @param {Function} fn
+   */
+  constructor(fn) {
+    super();
+    this.#fn = fn;
+  }
+
+  rewind() {
+    this.#called = false;
+    return super.rewind();
+  }
+
+  seek(time) {
+    if (!this.#called) {
+      this.#called = true;
+      this.#fn();
+    }
+    return super.seek(time);
+  }
+}
+
+class Sequence extends Animation {
+  #animations;
+
+  /**
+   * @param {Animation[]} animations
+   */
+  constructor(animations) {
+    super();
+    this.#animations = animations;
+  }
+
+  duration() {
+    return this.#animations.reduce((sum, item) => sum + item.duration(), 0);
+  }
+
+  rewind() {
+    this.#animations.forEach((animation) => animation.rewind());
+    return super.rewind();
+  }
+
+  reset() {
+    this.#animations.forEach((animation) => animation.reset());
+    return super.reset();
+  }
+
+  _apply(time) {
+    let start = 0;
+    this.#animations.forEach((animation) => {
+      if (time >= start || animation.isStarted()) {
+        animation.seek(time - start);
+      }
+      start += animation.duration();
+    });
+  }
+}
+
+class Parallel extends Animation {
+  #animations;
+
+  /**
+   * @param {Animation[]} animations
+   */
+  constructor(animations) {
+    super();
+    this.#animations = animations;
+  }
+
+  duration() {
+    return Math.max(0, ...this.#animations.map((item) => item.duration()));
+  }
+
+  rewind() {
+    this.#animations.forEach((animation) => animation.rewind());
+    return super.rewind();
+  }
+
+  reset() {
+    this.#animations.forEach((animation) => animation.reset());
+    return super.reset();
+  }
+
+  _apply(time) {
+    this.#animations.forEach((animation) => animation.seek(time));
+  }
+}
+
+class Repeat extends Animation {
+  #animation;
+  #times;
+  #iteration = 0;
+
+  /**
+   * @param {Animation} animation
+   * @param {number} times
+   */
+  constructor(animation, times = Infinity) {
+    super();
+    this.#animation = animation;
+    this.#times = times;
+  }
+
+  duration() {
+    return this.#animation.duration() * this.#times || 0;
+  }
+
+  rewind() {
+    this.#iteration = 0;
+    this.#animation.rewind();
+    return super.rewind();
+  }
+
+  reset() {
+    this.#iteration = 0;
+    this.#animation.reset();
+    return super.reset();
+  }
+
+  _apply(time) {
+    const duration = this.#animation.duration();
+    const iteration = Math.min(
+      Math.floor(time / duration) || 0,
+      this.#times - 1
+    );
+    if (iteration !== this.#iteration) {
+      this.#animation.seek(iteration > this.#iteration ? duration : 0);
+      this.#animation.rewind();
+      this.#iteration = iteration;
+    }
+    this.#animation.seek(time - iteration * duration);
+  }
+}
+
+class Yoyo extends Animation {
+  #animation;
+
+  /**
+   * Plays the animation forwards, then backwards
+   * @param {Animation} animation
+   */
+  constructor(animation) {
+    super();
+    this.#animation = animation;
+  }
+
+  duration() {
+    return this.#animation.duration() * 2;
+  }
+
+  rewind() {
+    this.#animation.rewind();
+    return super.rewind();
+  }
+
+  reset() {
+    this.#animation.reset();
+    return super.reset();
+  }
+
+  _apply(time) {
+    const duration = this.#animation.duration();
+    this.#animation.seek(time <= duration ? time : duration * 2 - time);
+  }
+}
+
+export {
+  RemoveAfterDelay,
+  FallParabolicAnimation,
+  FallAnimation,
+  Easing,
+  Animation,
+  AnimationPlayer,
+  TweenColor,
+  Tween,
+  Delay,
+  Call,
+  Sequence,
+  Parallel,
+  Repeat,
+  Yoyo,
+};
@@ -0,0 +1,68 @@
+import { environment } from "./environment.js";
+
+const canvasCtxBuilding = (inCanvasOptions) => {
+  const canvasElement =
+    inCanvasOptions.canvasElement ?? environment().createCanvas();
+
+  return canvasElement.getContext("2d", { willReadFrequently: true });
+};
+
+const canvasBackingSize = (inElement) => {
+  const pixelRatio = environment().pixelRatio();
+
+  return {
+    width: Math.round(inElement.clientWidth * pixelRatio),
+    height: Math.round(inElement.clientHeight * pixelRatio),
+  };
+};
+
+const canvasBackingFitting = (inCanvasCtx, inSize) => {
+  const canvasElement = inCanvasCtx.canvas;
+  const backingSize = canvasBackingSize(canvasElement);
+  if (
+    !backingSize.width ||
+    !backingSize.height ||
+    (backingSize.width === canvasElement.width &&
+      backingSize.height === canvasElement.height)
+  ) {
+    return false;
+  }
+
+  canvasElement.width = backingSize.width;
+  canvasElement.height = backingSize.height;
+  canvasTransformApplying(inCanvasCtx, inSize);
+  return true;
+};
+
+const canvasTransformApplying = (inCanvasCtx, inSize) => {
+  inCanvasCtx.setTransform(
+    inCanvasCtx.canvas.width / inSize.width,
+    0,
+    0,
+    inCanvasCtx.canvas.height / inSize.height,
+    0,
+    0
+  );
+};
+
+const canvasSnapshot = (inCanvasElement) => {
+  const snapshotElement = environment().createCanvas(
+    inCanvasElement.width,
+    inCanvasElement.height
+  );
+  snapshotElement.getContext("2d").drawImage(inCanvasElement, 0, 0);
+  return snapshotElement;
+};
+
+const canvasResizeWatching = (inElement, inResizeFn) => {
+  return environment().watchResize(inElement, inResizeFn);
+};
+
+export {
+  canvasCtxBuilding,
+  canvasBackingSize,
+  canvasBackingFitting,
+  canvasTransformApplying,
+  canvasSnapshot,
+  canvasResizeWatching,
+};
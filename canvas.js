@@ -0,0 +1,117 @@
+import {
+  canvasBackingFitting,
+  canvasResizeWatching,
+  canvasTransformApplying,
+} from "./canvas-size.js";
+import { environment } from "./environment.js";
+
+class Canvas {
+  #element;
+  #selector;
+  #context;
+  #size;
+  #unwatchResize;
+
+  /**
+   * @param {string|HTMLCanvasElement} selector or the element itself
+   */
+  constructor(selector) {
+    this.#selector = selector;
+  }
+
+  element() {
+    if (!this.#element) {
+      this.#element =
+        typeof this.#selector === "string"
+          ? environment().query(this.#selector)
+          : this.#selector;
+      this.#size = {
+        width: this.#element.width,
+        height: this.#element.height,
+      };
+      this.#unwatchResize = canvasResizeWatching(
+        this.#element,
+        this.fit.bind(this)
+      );
+    }
+
+    return this.#element;
+  }
+
+  context() {
+    if (!this.#context) {
+      this.#context = this.element().getContext("2d", {
+        willReadFrequently: true,
+      });
+      this.fit();
+      canvasTransformApplying(this.#context, this.#size);
+    }
+
+    return this.#context;
+  }
+
+  width() {
+    this.element();
+    return this.#size.width;
+  }
+
+  height() {
+    this.element();
+    return this.#size.height;
+  }
+
+  fit() {
+    canvasBackingFitting(this.context(), this.#size);
+    return this;
+  }
+
+  destroy() {
+    this.#unwatchResize?.();
+  }
+}
+
+class OffscreenSurface {
+  #canvas;
+  #context;
+  #size;
+
+  /**
+   * Canvas stand-in for a Scene drawing into an OffscreenCanvas in a worker
+   * @param {OffscreenCanvas} canvas
+   * @param {{width: number, height: number}} size
+   */
+  constructor(canvas, size) {
+    this.#canvas = canvas;
+    this.#size = size;
+  }
+
+  context() {
+    if (!this.#context) {
+      this.#context = this.#canvas.getContext("2d");
+      canvasTransformApplying(this.#context, this.#size);
+    }
+
+    return this.#context;
+  }
+
+  width() {
+    return this.#size.width;
+  }
+
+  height() {
+    return this.#size.height;
+  }
+
+  /**
+   * @param {number} width backing pixels
+   * @param {number} height
+   */
+  resize(width, height) {
+    this.#canvas.width = width;
+    this.#canvas.height = height;
+    canvasTransformApplying(this.context(), this.#size);
+    return this;
+  }
+}
+
+export { Canvas, OffscreenSurface };
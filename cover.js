@@ -0,0 +1,182 @@
+import { environment } from "./environment.js";
+
+const foilColors = ["#8e8e8e", "#d8d8d8", "#9a9a9a", "#e6e6e6", "#8e8e8e"];
+
+const coverLayersBuilding = (inOptions) => {
+  return inOptions.cover ?? [{ type: "image", url: inOptions.image }];
+};
+
+const coverLayersLoading = (inLayers) => {
+  return Promise.all(
+    inLayers.map((layer) =>
+      layer.type === "image" || (layer.type === "pattern" && layer.url)
+        ? environment()
+            .loadImage(layer.url)
+            .then((image) => ({ ...layer, image }))
+        : Promise.resolve(layer)
+    )
+  );
+};
+
+const gradientStopsAdding = (inGradient, inStops) => {
+  inStops.forEach((stop, index) => {
+    const [offset, color] = Array.isArray(stop)
+      ? stop
+      : [index / Math.max(1, inStops.length - 1), stop];
+    inGradient.addColorStop(offset, color);
+  });
+  return inGradient;
+};
+
+const coverPatternTile = (inLayer) => {
+  const size = inLayer.size ?? 16;
+  const tileElement = environment().createCanvas(size, size);
+  const tileCtx = tileElement.getContext("2d");
+  tileCtx.fillStyle = inLayer.background ?? "transparent";
+  tileCtx.fillRect(0, 0, size, size);
+  tileCtx.fillStyle = inLayer.color ?? "rgba(0, 0, 0, 0.2)";
+  tileCtx.strokeStyle = inLayer.color ?? "rgba(0, 0, 0, 0.2)";
+  tileCtx.lineWidth = inLayer.lineWidth ?? size / 4;
+  if (inLayer.shape === "stripes") {
+    tileCtx.beginPath();
+    tileCtx.moveTo(-size / 2, size / 2);
+    tileCtx.lineTo(size / 2, -size / 2);
+    tileCtx.moveTo(0, size);
+    tileCtx.lineTo(size, 0);
+    tileCtx.moveTo(size / 2, size * 1.5);
+    tileCtx.lineTo(size * 1.5, size / 2);
+    tileCtx.stroke();
+  } else {
+    tileCtx.beginPath();
+    tileCtx.arc(size / 2, size / 2, inLayer.radius ?? size / 6, 0, 2 * Math.PI);
+    tileCtx.fill();
+  }
+
+  return tileElement;
+};
+
+const coverNoiseTile = (inSize, inRandom = environment().random) => {
+  const tileElement = environment().createCanvas(inSize, inSize);
+  const tileCtx = tileElement.getContext("2d");
+  const tilePixels = tileCtx.createImageData(inSize, inSize);
+  for (let i = 0; i < tilePixels.data.length; i += 4) {
+    const shade = Math.floor(inRandom() * 256);
+    tilePixels.data[i] = shade;
+    tilePixels.data[i + 1] = shade;
+    tilePixels.data[i + 2] = shade;
+    tilePixels.data[i + 3] = 255;
+  }
+  tileCtx.putImageData(tilePixels, 0, 0);
+  return tileElement;
+};
+
+const coverLayerDrawers = {
+  color: (inCanvasCtx, inSize, inLayer) => {
+    inCanvasCtx.fillStyle = inLayer.color;
+    inCanvasCtx.fillRect(0, 0, inSize.width, inSize.height);
+  },
+  "linear-gradient": (inCanvasCtx, inSize, inLayer) => {
+    const [fromX, fromY] = inLayer.from ?? [0, 0];
+    const [toX, toY] = inLayer.to ?? [inSize.width, inSize.height];
+    inCanvasCtx.fillStyle = gradientStopsAdding(
+      inCanvasCtx.createLinearGradient(fromX, fromY, toX, toY),
+      inLayer.stops
+    );
+    inCanvasCtx.fillRect(0, 0, inSize.width, inSize.height);
+  },
+  "radial-gradient": (inCanvasCtx, inSize, inLayer) => {
+    const [centerX, centerY] = inLayer.center ?? [
+      inSize.width / 2,
+      inSize.height / 2,
+    ];
+    const radius =
+      inLayer.radius ?? Math.hypot(inSize.width, inSize.height) / 2;
+    inCanvasCtx.fillStyle = gradientStopsAdding(
+      inCanvasCtx.createRadialGradient(
+        centerX,
+        centerY,
+        inLayer.innerRadius ?? 0,
+        centerX,
+        centerY,
+        radius
+      ),
+      inLayer.stops
+    );
+    inCanvasCtx.fillRect(0, 0, inSize.width, inSize.height);
+  },
+  pattern: (inCanvasCtx, inSize, inLayer) => {
+    inCanvasCtx.fillStyle = inCanvasCtx.createPattern(
+      inLayer.image ?? coverPatternTile(inLayer),
+      inLayer.repeat ?? "repeat"
+    );
+    inCanvasCtx.fillRect(0, 0, inSize.width, inSize.height);
+  },
+  image: (inCanvasCtx, inSize, inLayer) => {
+    inCanvasCtx.drawImage(
+      inLayer.image,
+      inLayer.left ?? 0,
+      inLayer.top ?? 0,
+      inLayer.width ?? inLayer.image.width,
+      inLayer.height ?? inLayer.image.height
+    );
+  },
+  text: (inCanvasCtx, inSize, inLayer) => {
+    inCanvasCtx.font = inLayer.font ?? "bold 32px sans-serif";
+    inCanvasCtx.textAlign = inLayer.align ?? "center";
+    inCanvasCtx.textBaseline = inLayer.baseline ?? "middle";
+    inCanvasCtx.translate(
+      inLayer.left ?? inSize.width / 2,
+      inLayer.top ?? inSize.height / 2
+    );
+    inCanvasCtx.rotate(((inLayer.degrees ?? 0) * Math.PI) / 180.0);
+    if (inLayer.strokeColor) {
+      inCanvasCtx.strokeStyle = inLayer.strokeColor;
+      inCanvasCtx.lineWidth = inLayer.strokeWidth ?? 2;
+      inCanvasCtx.strokeText(inLayer.text, 0, 0);
+    }
+    inCanvasCtx.fillStyle = inLayer.color ?? "#333";
+    inCanvasCtx.fillText(inLayer.text, 0, 0);
+  },
+  foil: (inCanvasCtx, inSize, inLayer, inRandom) => {
+    const opacity = inCanvasCtx.globalAlpha;
+    coverLayerDrawers["linear-gradient"](inCanvasCtx, inSize, {
+      stops: inLayer.colors ?? foilColors,
+    });
+    inCanvasCtx.globalAlpha = opacity * (inLayer.noise ?? 0.15);
+    inCanvasCtx.globalCompositeOperation = "overlay";
+    inCanvasCtx.fillStyle = inCanvasCtx.createPattern(
+      coverNoiseTile(inLayer.noiseSize ?? 64, inRandom),
+      "repeat"
+    );
+    inCanvasCtx.fillRect(0, 0, inSize.width, inSize.height);
+    inCanvasCtx.globalAlpha = opacity * (inLayer.sheenOpacity ?? 0.6);
+    inCanvasCtx.globalCompositeOperation = "source-over";
+    const sheenAt = inLayer.sheenAt ?? 0.35;
+    const sheenWidth = inLayer.sheenWidth ?? 0.15;
+    inCanvasCtx.fillStyle = gradientStopsAdding(
+      inCanvasCtx.createLinearGradient(0, 0, inSize.width, inSize.height),
+      [
+        [Math.max(0, sheenAt - sheenWidth), "rgba(255, 255, 255, 0)"],
+        [sheenAt, "rgba(255, 255, 255, 1)"],
+        [Math.min(1, sheenAt + sheenWidth), "rgba(255, 255, 255, 0)"],
+      ]
+    );
+    inCanvasCtx.fillRect(0, 0, inSize.width, inSize.height);
+  },
+};
+
+const coverLayersDrawing = (inCanvasCtx, inSize, inLayers, inRandom) => {
+  inLayers.forEach((layer) => {
+    inCanvasCtx.save();
+    inCanvasCtx.globalAlpha = layer.opacity ?? 1;
+    coverLayerDrawers[layer.type](inCanvasCtx, inSize, layer, inRandom);
+    inCanvasCtx.restore();
+  });
+};
+
+export {
+  coverLayersBuilding,
+  coverLayersLoading,
+  coverLayerDrawers,
+  coverLayersDrawing,
+};
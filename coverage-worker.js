@@ -0,0 +1,12 @@
+import { coverageCellsScanning } from "./coverage.js";
+
+self.addEventListener("message", (inEvent) => {
+  const { id, pixels, width, height, grid } = inEvent.data;
+  const result = coverageCellsScanning(
+    new Uint8ClampedArray(pixels),
+    width,
+    height,
+    grid
+  );
+  self.postMessage({ id, ...result }, [result.cells.buffer]);
+});
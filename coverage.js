@@ -0,0 +1,288 @@
+import { environment } from "./environment.js";
+
+const coverageBuilding = (inWidth, inHeight, inCellSize = 4) => {
+  const columns = Math.ceil(inWidth / inCellSize);
+  const rows = Math.ceil(inHeight / inCellSize);
+
+  return {
+    width: inWidth,
+    height: inHeight,
+    cellSize: inCellSize,
+    columns,
+    rows,
+    cells: new Uint8Array(columns * rows),
+    clearedCount: 0,
+    zones: [],
+    cellZones: new Map(),
+  };
+};
+
+const polygonContains = (inPoints, inX, inY) => {
+  let inside = false;
+  for (let i = 0, j = inPoints.length - 1; i < inPoints.length; j = i++) {
+    const [xi, yi] = inPoints[i];
+    const [xj, yj] = inPoints[j];
+    if (
+      yi > inY !== yj > inY &&
+      inX < ((xj - xi) * (inY - yi)) / (yj - yi) + xi
+    ) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+const zoneContains = (inZone, inX, inY) => {
+  if (inZone.polygon) {
+    return polygonContains(inZone.polygon, inX, inY);
+  }
+
+  return (
+    inX >= inZone.rect.left &&
+    inX < inZone.rect.left + inZone.rect.width &&
+    inY >= inZone.rect.top &&
+    inY < inZone.rect.top + inZone.rect.height
+  );
+};
+
+const coverageZoneAdding = (inCoverage, inZoneOptions) => {
+  const zone = {
+    name: inZoneOptions.name,
+    reachPercent: inZoneOptions.reachPercent ?? 100,
+    required: inZoneOptions.required ?? true,
+    cellsCount: 0,
+    clearedCount: 0,
+    changed: false,
+    revealed: false,
+  };
+  const size = inCoverage.cellSize;
+
+  for (let row = 0; row < inCoverage.rows; row++) {
+    for (let column = 0; column < inCoverage.columns; column++) {
+      if (
+        zoneContains(inZoneOptions, (column + 0.5) * size, (row + 0.5) * size)
+      ) {
+        const cellIndex = row * inCoverage.columns + column;
+        const cellZones = inCoverage.cellZones.get(cellIndex) ?? [];
+        cellZones.push(zone);
+        inCoverage.cellZones.set(cellIndex, cellZones);
+        zone.cellsCount++;
+        zone.clearedCount += inCoverage.cells[cellIndex];
+      }
+    }
+  }
+  inCoverage.zones.push(zone);
+
+  return zone;
+};
+
+const brushMasks = new WeakMap();
+
+const brushMaskBuilding = (inImage) => {
+  if (!brushMasks.has(inImage)) {
+    const canvasElement = environment().createCanvas(
+      Math.max(1, Math.ceil(inImage.width)),
+      Math.max(1, Math.ceil(inImage.height))
+    );
+    const canvasCtx = canvasElement.getContext("2d", {
+      willReadFrequently: true,
+    });
+    canvasCtx.drawImage(
+      inImage,
+      0,
+      0,
+      canvasElement.width,
+      canvasElement.height
+    );
+    const imagePixels = canvasCtx.getImageData(
+      0,
+      0,
+      canvasElement.width,
+      canvasElement.height
+    );
+    const alpha = new Uint8Array(canvasElement.width * canvasElement.height);
+    for (let i = 0; i < alpha.length; i++) {
+      alpha[i] = imagePixels.data[i * 4 + 3] > 0 ? 1 : 0;
+    }
+    brushMasks.set(inImage, {
+      width: canvasElement.width,
+      height: canvasElement.height,
+      alpha,
+    });
+  }
+
+  return brushMasks.get(inImage);
+};
+
+const brushMaskCovers = (inMask, inX, inY) => {
+  const x = Math.floor(inX);
+  const y = Math.floor(inY);
+  if (x < 0 || y < 0 || x >= inMask.width || y >= inMask.height) {
+    return false;
+  }
+
+  return inMask.alpha[y * inMask.width + x] === 1;
+};
+
+const coverageCellClear = (inCoverage, inCellIndex) => {
+  if (inCoverage.cells[inCellIndex]) {
+    return 0;
+  }
+
+  inCoverage.cells[inCellIndex] = 1;
+  inCoverage.clearedCount++;
+  inCoverage.cellZones.get(inCellIndex)?.forEach((zone) => {
+    zone.clearedCount++;
+    zone.changed = true;
+  });
+  return 1;
+};
+
+const coverageStamp = (inCoverage, inMask, inStamp) => {
+  const radians = ((inStamp.degrees ?? 0) * Math.PI) / 180.0;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const halfWidth = inStamp.width / 2;
+  const halfHeight = inStamp.height / 2;
+  const centerX = inStamp.left + halfWidth;
+  const centerY = inStamp.top + halfHeight;
+  const extentX = Math.abs(halfWidth * cos) + Math.abs(halfHeight * sin);
+  const extentY = Math.abs(halfWidth * sin) + Math.abs(halfHeight * cos);
+  const scaleX = inMask.width / inStamp.width;
+  const scaleY = inMask.height / inStamp.height;
+  const size = inCoverage.cellSize;
+  const fromColumn = Math.max(0, Math.floor((centerX - extentX) / size));
+  const toColumn = Math.min(
+    inCoverage.columns - 1,
+    Math.floor((centerX + extentX) / size)
+  );
+  const fromRow = Math.max(0, Math.floor((centerY - extentY) / size));
+  const toRow = Math.min(
+    inCoverage.rows - 1,
+    Math.floor((centerY + extentY) / size)
+  );
+  let clearedCount = 0;
+
+  for (let row = fromRow; row <= toRow; row++) {
+    for (let column = fromColumn; column <= toColumn; column++) {
+      const dx = (column + 0.5) * size - centerX;
+      const dy = (row + 0.5) * size - centerY;
+      const localX = (dx * cos + dy * sin + halfWidth) * scaleX;
+      const localY = (-dx * sin + dy * cos + halfHeight) * scaleY;
+      if (brushMaskCovers(inMask, localX, localY)) {
+        clearedCount += coverageCellClear(
+          inCoverage,
+          row * inCoverage.columns + column
+        );
+      }
+    }
+  }
+
+  return clearedCount;
+};
+
+const coverageFill = (inCoverage, inCleared) => {
+  inCoverage.cells.fill(inCleared ? 1 : 0);
+  inCoverage.clearedCount = inCleared ? inCoverage.cells.length : 0;
+  inCoverage.zones.forEach((zone) => {
+    zone.clearedCount = inCleared ? zone.cellsCount : 0;
+    zone.changed = inCleared;
+    zone.revealed = zone.revealed && inCleared;
+  });
+  return inCoverage;
+};
+
+const coveragePercent = (inCoverage) => {
+  return inCoverage.cells.length
+    ? (inCoverage.clearedCount / inCoverage.cells.length) * 100
+    : 0;
+};
+
+const coverageZonePercent = (inZone) => {
+  return inZone.cellsCount
+    ? (inZone.clearedCount / inZone.cellsCount) * 100
+    : 0;
+};
+
+const coverageCellsScanning = (inPixels, inWidth, inHeight, inGrid) => {
+  const pixelsCounts = new Uint32Array(inGrid.columns * inGrid.rows);
+  const transparentCounts = new Uint32Array(pixelsCounts.length);
+  let transparentCount = 0;
+
+  for (let y = 0; y < inHeight; y++) {
+    const row = Math.min(inGrid.rows - 1, Math.floor(y * inGrid.scaleY));
+    for (let x = 0; x < inWidth; x++) {
+      const column = Math.min(
+        inGrid.columns - 1,
+        Math.floor(x * inGrid.scaleX)
+      );
+      const cellIndex = row * inGrid.columns + column;
+      pixelsCounts[cellIndex]++;
+      if (inPixels[(y * inWidth + x) * 4 + 3] === 0) {
+        transparentCounts[cellIndex]++;
+        transparentCount++;
+      }
+    }
+  }
+
+  const cells = new Uint8Array(pixelsCounts.length);
+  for (let i = 0; i < cells.length; i++) {
+    cells[i] =
+      pixelsCounts[i] && transparentCounts[i] * 2 >= pixelsCounts[i] ? 1 : 0;
+  }
+
+  return {
+    cells,
+    percent:
+      inWidth * inHeight ? (transparentCount / (inWidth * inHeight)) * 100 : 0,
+  };
+};
+
+const canvasFilledPixelsCount = (inCanvasCtx) => {
+  const inImagePixels = inCanvasCtx.getImageData(
+    0,
+    0,
+    inCanvasCtx.canvas.width,
+    inCanvasCtx.canvas.height
+  );
+  let filledPixelsCount = 0;
+
+  for (let i = 0; i < inImagePixels.data.length; i += 4) {
+    if (
+      inImagePixels.data[i] === 0 &&
+      inImagePixels.data[i + 1] === 0 &&
+      inImagePixels.data[i + 2] === 0 &&
+      inImagePixels.data[i + 3] === 0
+    ) {
+      filledPixelsCount++;
+    }
+  }
+
+  return filledPixelsCount;
+};
+
+const canvasFilledPixelsPercent = (inCanvasCtx, inFilledPixelsCount) => {
+  return (
+    inFilledPixelsCount >= 1
+      ? (inFilledPixelsCount /
+          (inCanvasCtx.canvas.width * inCanvasCtx.canvas.height)) *
+        100
+      : 0
+  ).toPrecision(2);
+};
+
+export {
+  coverageBuilding,
+  coverageZoneAdding,
+  brushMaskBuilding,
+  brushMaskCovers,
+  coverageCellClear,
+  coverageStamp,
+  coverageFill,
+  coveragePercent,
+  coverageZonePercent,
+  coverageCellsScanning,
+  canvasFilledPixelsCount,
+  canvasFilledPixelsPercent,
+};
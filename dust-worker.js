@@ -0,0 +1,69 @@
+import { OffscreenSurface } from "./canvas.js";
+import { truthy } from "./functions.js";
+import { Physics } from "./particles.js";
+import { randomSeeded, randomSource } from "./random.js";
+import { Scene } from "./scene.js";
+import { sandDustHandler } from "./scratch.js";
+import { Ticker } from "./ticker.js";
+
+const dustWorkerState = {
+  surface: null,
+  ticker: null,
+  dustHandler: null,
+};
+
+const dustWorkerResizing = (inBacking) => {
+  truthy(inBacking.width && inBacking.height, () =>
+    dustWorkerState.surface.resize(inBacking.width, inBacking.height)
+  );
+};
+
+const dustWorkerHandlers = {
+  init: (inMessage) => {
+    dustWorkerState.surface = new OffscreenSurface(
+      inMessage.canvas,
+      inMessage.size
+    );
+    dustWorkerResizing(inMessage.backing);
+    const scene = new Scene(dustWorkerState.surface);
+    dustWorkerState.ticker = new Ticker(1000 / 60, scene.render.bind(scene));
+    dustWorkerState.ticker.idleWhenEmpty(scene).run();
+    dustWorkerState.dustHandler = sandDustHandler(
+      scene,
+      dustWorkerState.ticker,
+      inMessage.colors,
+      new Physics(inMessage.physics),
+      randomSource({ seed: inMessage.seed })
+    );
+  },
+  dust: (inMessage) => {
+    dustWorkerState.dustHandler?.(
+      inMessage.percent,
+      inMessage.imageSize,
+      inMessage.position,
+      {
+        ...inMessage.dust,
+        random:
+          inMessage.dust.seed === undefined
+            ? undefined
+            : randomSeeded(inMessage.dust.seed),
+      }
+    );
+  },
+  resize: (inMessage) => {
+    truthy(dustWorkerState.surface, () =>
+      dustWorkerResizing(inMessage.backing)
+    );
+  },
+  visibility: (inMessage) => {
+    truthy(dustWorkerState.ticker, () =>
+      inMessage.hidden
+        ? dustWorkerState.ticker.pause()
+        : dustWorkerState.ticker.resume()
+    );
+  },
+};
+
+self.addEventListener("message", (inEvent) => {
+  dustWorkerHandlers[inEvent.data.type]?.(inEvent.data);
+});
@@ -0,0 +1,196 @@
+import { environment } from "./environment.js";
+
+const dustTintColors = new Map();
+
+const dustPaletteBuilding = () => {
+  return {
+    buckets: new Map(),
+  };
+};
+
+const dustTintRgb = (inTint) => {
+  if (!dustTintColors.has(inTint)) {
+    const canvasElement = environment().createCanvas(1, 1);
+    const canvasCtx = canvasElement.getContext("2d", {
+      willReadFrequently: true,
+    });
+    canvasCtx.fillStyle = inTint;
+    canvasCtx.fillRect(0, 0, 1, 1);
+    const [r, g, b] = canvasCtx.getImageData(0, 0, 1, 1).data;
+    dustTintColors.set(inTint, { r, g, b });
+  }
+
+  return dustTintColors.get(inTint);
+};
+
+// backing is the canvas pixel size and its scale from css pixels
+const dustStampBounds = (inStamp, inBacking) => {
+  return {
+    left: Math.max(0, Math.floor(inStamp.left * inBacking.scaleX)),
+    top: Math.max(0, Math.floor(inStamp.top * inBacking.scaleY)),
+    right: Math.min(
+      inBacking.width,
+      Math.ceil((inStamp.left + inStamp.width) * inBacking.scaleX)
+    ),
+    bottom: Math.min(
+      inBacking.height,
+      Math.ceil((inStamp.top + inStamp.height) * inBacking.scaleY)
+    ),
+  };
+};
+
+const dustStampSampling = (inPalette, inPixels, inArea, inStamp, inBacking) => {
+  const bounds = dustStampBounds(inStamp, inBacking);
+  const width = bounds.right - bounds.left;
+  const height = bounds.bottom - bounds.top;
+  if (width <= 0 || height <= 0) {
+    return;
+  }
+
+  const radiusX = (inStamp.width * inBacking.scaleX) / 2;
+  const radiusY = (inStamp.height * inBacking.scaleY) / 2;
+  const centerX = inStamp.left * inBacking.scaleX + radiusX - bounds.left;
+  const centerY = inStamp.top * inBacking.scaleY + radiusY - bounds.top;
+  const step = Math.max(1, Math.floor(Math.min(width, height) / 8));
+  for (let y = Math.floor(step / 2); y < height; y += step) {
+    for (let x = Math.floor(step / 2); x < width; x += step) {
+      const dx = (x - centerX) / radiusX;
+      const dy = (y - centerY) / radiusY;
+      const index =
+        ((bounds.top - inArea.top + y) * inArea.width +
+          (bounds.left - inArea.left + x)) *
+        4;
+      if (dx * dx + dy * dy > 1 || inPixels[index + 3] < 128) {
+        continue;
+      }
+
+      const key =
+        ((inPixels[index] >> 4) << 8) |
+        ((inPixels[index + 1] >> 4) << 4) |
+        (inPixels[index + 2] >> 4);
+      const bucket = inPalette.buckets.get(key) ?? {
+        r: 0,
+        g: 0,
+        b: 0,
+        weight: 0,
+      };
+      bucket.r += inPixels[index];
+      bucket.g += inPixels[index + 1];
+      bucket.b += inPixels[index + 2];
+      bucket.weight++;
+      inPalette.buckets.set(key, bucket);
+    }
+  }
+};
+
+// one readback covers every stamp of a stroke segment
+const dustPaletteSampling = (inPalette, inCanvasCtx, inStamps, inSize) => {
+  const canvasElement = inCanvasCtx.canvas;
+  const backing = {
+    scaleX: canvasElement.width / inSize.width,
+    scaleY: canvasElement.height / inSize.height,
+    width: canvasElement.width,
+    height: canvasElement.height,
+  };
+  const area = inStamps
+    .map((stamp) => dustStampBounds(stamp, backing))
+    .reduce(
+      (union, bounds) => ({
+        left: Math.min(union.left, bounds.left),
+        top: Math.min(union.top, bounds.top),
+        right: Math.max(union.right, bounds.right),
+        bottom: Math.max(union.bottom, bounds.bottom),
+      }),
+      { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity }
+    );
+  area.width = area.right - area.left;
+  area.height = area.bottom - area.top;
+  if (!(area.width > 0 && area.height > 0)) {
+    return inPalette;
+  }
+
+  const pixels = inCanvasCtx.getImageData(
+    area.left,
+    area.top,
+    area.width,
+    area.height
+  ).data;
+  inStamps.forEach((stamp) =>
+    dustStampSampling(inPalette, pixels, area, stamp, backing)
+  );
+
+  return inPalette;
+};
+
+// channels snap to a few levels so repeated dust reuses the same colours
+const dustColorMixing = (
+  inColor,
+  inTint,
+  inAmount,
+  inJitter,
+  inRandom = environment().random,
+  inLevels = 16
+) => {
+  const jitter = (inRandom() * 2 - 1) * inJitter * 255;
+  const levelStep = 255 / (Math.max(2, inLevels) - 1);
+  const channel = (inKey) =>
+    Math.round(
+      Math.round(
+        Math.min(
+          255,
+          Math.max(
+            0,
+            inColor[inKey] +
+              (inTint[inKey] - inColor[inKey]) * inAmount +
+              jitter
+          )
+        ) / levelStep
+      ) * levelStep
+    );
+
+  return `rgb(${channel("r")}, ${channel("g")}, ${channel("b")})`;
+};
+
+const dustPaletteColors = (inPalette, inOptions = {}) => {
+  const buckets = [...inPalette.buckets.values()]
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, inOptions.size ?? 4);
+  if (!buckets.length) {
+    return null;
+  }
+
+  const slots = inOptions.slots ?? 12;
+  const tint = inOptions.tint ? dustTintRgb(inOptions.tint) : null;
+  const totalWeight = buckets.reduce((sum, bucket) => sum + bucket.weight, 0);
+
+  return buckets.flatMap((bucket) => {
+    const color = {
+      r: bucket.r / bucket.weight,
+      g: bucket.g / bucket.weight,
+      b: bucket.b / bucket.weight,
+    };
+
+    return Array.from(
+      {
+        length: Math.max(1, Math.round((bucket.weight / totalWeight) * slots)),
+      },
+      () =>
+        dustColorMixing(
+          color,
+          tint ?? color,
+          tint ? (inOptions.tintAmount ?? 0.3) : 0,
+          inOptions.jitter ?? 0,
+          inOptions.random,
+          inOptions.levels
+        )
+    );
+  });
+};
+
+export {
+  dustPaletteBuilding,
+  dustTintRgb,
+  dustPaletteSampling,
+  dustColorMixing,
+  dustPaletteColors,
+};
@@ -0,0 +1,86 @@
+const environmentBrowser = {
+  createCanvas: (inWidth = 300, inHeight = 150) => {
+    const canvasElement = document.createElement("canvas");
+    canvasElement.width = inWidth;
+    canvasElement.height = inHeight;
+    return canvasElement;
+  },
+  createPath: () => new Path2D(),
+  loadImage: (inUrl) =>
+    new Promise((resolve, reject) => {
+      const pic = new Image();
+      pic.crossOrigin = "anonymous";
+      pic.src = inUrl;
+      pic.onload = resolve.bind(null, pic);
+      pic.onerror = reject.bind(null, "Ошибка загрузки изображеия");
+    }),
+  fetch: (inUrl, inInit) => fetch(inUrl, inInit),
+  query: (inSelector) => document.querySelector(inSelector),
+  pixelRatio: () => globalThis.devicePixelRatio ?? 1,
+  now: () => performance.now(),
+  random: () => Math.random(),
+  // workers without requestAnimationFrame fall back to timers
+  requestFrame: (inFrameFn) =>
+    typeof requestAnimationFrame === "function"
+      ? requestAnimationFrame(inFrameFn)
+      : setTimeout(() => inFrameFn(performance.now()), 1000 / 60),
+  cancelFrame: (inFrameId) =>
+    typeof cancelAnimationFrame === "function"
+      ? cancelAnimationFrame(inFrameId)
+      : clearTimeout(inFrameId),
+  setTimeout: (inFn, inDelayMs) => setTimeout(inFn, inDelayMs),
+  clearTimeout: (inTimeoutId) => clearTimeout(inTimeoutId),
+  isHidden: () =>
+    typeof document !== "undefined" && document.visibilityState === "hidden",
+  watchVisibility: (inFn) => {
+    if (typeof document === "undefined") {
+      return () => {};
+    }
+
+    document.addEventListener("visibilitychange", inFn);
+    return () => document.removeEventListener("visibilitychange", inFn);
+  },
+  watchResize: (inElement, inResizeFn) => {
+    if (typeof ResizeObserver === "undefined") {
+      globalThis.addEventListener?.("resize", inResizeFn);
+      return () => globalThis.removeEventListener?.("resize", inResizeFn);
+    }
+
+    const observer = new ResizeObserver(() => inResizeFn());
+    observer.observe(inElement);
+    return () => observer.disconnect();
+  },
+  windowTarget: () => (typeof window !== "undefined" ? window : null),
+  startWorker: (inWorkerUrl) => {
+    if (!inWorkerUrl || typeof Worker === "undefined") {
+      return null;
+    }
+
+    try {
+      return new Worker(inWorkerUrl, { type: "module" });
+    } catch {
+      return null;
+    }
+  },
+};
+
+let environmentAdapters = environmentBrowser;
+
+const environment = () => environmentAdapters;
+
+const environmentSetting = (inAdapters) => {
+  const previousAdapters = environmentAdapters;
+  environmentAdapters = { ...environmentAdapters, ...inAdapters };
+  return previousAdapters;
+};
+
+const environmentRestoring = (inAdapters = environmentBrowser) => {
+  environmentAdapters = inAdapters;
+};
+
+export {
+  environmentBrowser,
+  environment,
+  environmentSetting,
+  environmentRestoring,
+};
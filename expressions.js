@@ -0,0 +1,520 @@
+import { environment } from "./environment.js";
+
+class PrimitiveAware extends Number {
+  static #lastVersion = 0;
+  #cachedValue;
+  #cachedVersion = NaN;
+  #trackedVersions = null;
+  #trackedVersion = NaN;
+
+  /**
+   * @returns {number} a version no expression has handed out before
+   */
+  static nextVersion() {
+    return ++PrimitiveAware.#lastVersion;
+  }
+
+  /**
+   * @param {*} operand number or expression
+   * @returns {number} 0 for plain numbers, they never change
+   */
+  static versionOf(operand) {
+    return operand instanceof PrimitiveAware ? operand.version() : 0;
+  }
+
+  computeValue() {
+    throw Error("not implemented!");
+  }
+
+  /**
+   * NaN recomputes on every read, anything else is memoised until it changes
+   * @returns {number}
+   */
+  version() {
+    return NaN;
+  }
+
+  /**
+   * Versions are compared one by one and never added up, so two changes
+   * cannot cancel out into a version seen before
+   * @param {...number} versions of the operands, see versionOf()
+   * @returns {number} a fresh version whenever one of them changed
+   */
+  _versionTracking(...versions) {
+    if (versions.some(Number.isNaN)) {
+      return NaN;
+    }
+
+    if (
+      !this.#trackedVersions ||
+      versions.some(
+        (version, index) => version !== this.#trackedVersions[index]
+      )
+    ) {
+      this.#trackedVersions = versions;
+      this.#trackedVersion = PrimitiveAware.nextVersion();
+    }
+    return this.#trackedVersion;
+  }
+
+  number() {
+    const version = this.version();
+    if (version !== this.#cachedVersion) {
+      this.#cachedValue = this.computeValue();
+      this.#cachedVersion = version;
+    }
+    return this.#cachedValue;
+  }
+
+  valueOf() {
+    return this.number();
+  }
+
+  toString() {
+    return String(this.number());
+  }
+}
+
+class BinaryOperation extends PrimitiveAware {
+  _operandOne;
+  _operandTwo;
+
+  constructor(operandOne, operandTwo) {
+    super();
+    this._operandOne = operandOne;
+    this._operandTwo = operandTwo;
+  }
+
+  version() {
+    return this._versionTracking(
+      PrimitiveAware.versionOf(this._operandOne),
+      PrimitiveAware.versionOf(this._operandTwo)
+    );
+  }
+
+  _valueOne() {
+    return Number(this._operandOne);
+  }
+
+  _valueTwo() {
+    return Number(this._operandTwo);
+  }
+}
+
+class UnaryOperation extends PrimitiveAware {
+  _operand;
+
+  constructor(operand) {
+    super();
+    this._operand = operand;
+  }
+
+  version() {
+    return this._versionTracking(PrimitiveAware.versionOf(this._operand));
+  }
+
+  _value() {
+    return Number(this._operand);
+  }
+}
+
+class TernaryOperation extends PrimitiveAware {
+  _operandOne;
+  _operandTwo;
+  _operandThree;
+
+  constructor(operandOne, operandTwo, operandThree) {
+    super();
+    this._operandOne = operandOne;
+    this._operandTwo = operandTwo;
+    this._operandThree = operandThree;
+  }
+
+  version() {
+    return this._versionTracking(
+      PrimitiveAware.versionOf(this._operandOne),
+      PrimitiveAware.versionOf(this._operandTwo),
+      PrimitiveAware.versionOf(this._operandThree)
+    );
+  }
+
+  _values() {
+    return [this._operandOne, this._operandTwo, this._operandThree].map(Number);
+  }
+}
+
+class RandomNumber extends BinaryOperation {
+  #random;
+
+  /**
+   * A fresh value between from and from + range on every read
+   * @param {number} from
+   * @param {number} range
+   * @param {function(): number} random source, environment().random by default
+   */
+  constructor(from, range, random = null) {
+    super(from, range);
+    this.#random = random;
+  }
+
+  version() {
+    return NaN;
+  }
+
+  computeValue() {
+    const random = this.#random ?? environment().random;
+    return this._valueOne() + random() * this._valueTwo();
+  }
+}
+
+class StableNumber extends UnaryOperation {
+  version() {
+    return 0;
+  }
+
+  computeValue() {
+    return this._value();
+  }
+}
+
+class RoundNumber extends UnaryOperation {
+  computeValue() {
+    return Math.round(this._value());
+  }
+}
+
+class FloorNumber extends UnaryOperation {
+  computeValue() {
+    return Math.floor(this._value());
+  }
+}
+
+class AbsNumber extends UnaryOperation {
+  computeValue() {
+    return Math.abs(this._value());
+  }
+}
+
+class Sin extends UnaryOperation {
+  computeValue() {
+    return Math.sin(this._value());
+  }
+}
+
+class Cos extends UnaryOperation {
+  computeValue() {
+    return Math.cos(this._value());
+  }
+}
+
+class BottomLimitNumber extends BinaryOperation {
+  constructor(limit, value) {
+    super(limit, value);
+  }
+
+  computeValue() {
+    return Math.max(this._valueOne(), this._valueTwo());
+  }
+}
+
+class Division extends BinaryOperation {
+  computeValue() {
+    return this._valueOne() / this._valueTwo();
+  }
+}
+
+class Sum extends BinaryOperation {
+  computeValue() {
+    return this._valueOne() + this._valueTwo();
+  }
+}
+
+class Sub extends BinaryOperation {
+  computeValue() {
+    return this._valueOne() - this._valueTwo();
+  }
+}
+
+class Mul extends BinaryOperation {
+  computeValue() {
+    return this._valueOne() * this._valueTwo();
+  }
+}
+
+class Min extends BinaryOperation {
+  computeValue() {
+    return Math.min(this._valueOne(), this._valueTwo());
+  }
+}
+
+class Max extends BinaryOperation {
+  computeValue() {
+    return Math.max(this._valueOne(), this._valueTwo());
+  }
+}
+
+class Hypot extends BinaryOperation {
+  computeValue() {
+    return Math.hypot(this._valueOne(), this._valueTwo());
+  }
+}
+
+class Clamp extends TernaryOperation {
+  /**
+   * @param {number} value
+   * @param {number} min
+   * @param {number} max
+   */
+  constructor(value, min, max) {
+    super(value, min, max);
+  }
+
+  computeValue() {
+    const [value, min, max] = this._values();
+    return Math.min(max, Math.max(min, value));
+  }
+}
+
+class Lerp extends TernaryOperation {
+  /**
+   * @param {number} from
+   * @param {number} to
+   * @param {number} t 0..1
+   */
+  constructor(from, to, t) {
+    super(from, to, t);
+  }
+
+  computeValue() {
+    const [from, to, t] = this._values();
+    return from + (to - from) * t;
+  }
+}
+
+class Variable extends PrimitiveAware {
+  #value;
+  #version = PrimitiveAware.nextVersion();
+
+  /**
+   * @param {number} value
+   */
+  constructor(value = 0) {
+    super();
+    this.#value = value;
+  }
+
+  /**
+   * @param {number} value
+   */
+  set(value) {
+    if (value !== this.#value) {
+      this.#value = value;
+      this.#version = PrimitiveAware.nextVersion();
+    }
+    return this;
+  }
+
+  version() {
+    return this._versionTracking(
+      this.#version,
+      PrimitiveAware.versionOf(this.#value)
+    );
+  }
+
+  computeValue() {
+    return Number(this.#value);
+  }
+}
+
+class ElapsedTime extends PrimitiveAware {
+  #ticker;
+
+  /**
+   * Scaled ms the ticker has run, changes once per frame
+   * @param {Ticker} ticker
+   */
+  constructor(ticker) {
+    super();
+    this.#ticker = ticker;
+  }
+
+  version() {
+    return this.#ticker.frame();
+  }
+
+  computeValue() {
+    return this.#ticker.elapsedMs();
+  }
+}
+
+class Oscillator extends TernaryOperation {
+  /**
+   * Sine wave between -amplitude and amplitude
+   * @param {number} time ms, usually ElapsedTime
+   * @param {number} periodMs
+   * @param {number} amplitude
+   */
+  constructor(time, periodMs = 1000, amplitude = 1) {
+    super(time, periodMs, amplitude);
+  }
+
+  computeValue() {
+    const [time, periodMs, amplitude] = this._values();
+    return amplitude * Math.sin((2 * Math.PI * time) / periodMs);
+  }
+}
+
+class Noise extends TernaryOperation {
+  #seed;
+
+  /**
+   * Smooth value noise between -amplitude and amplitude
+   * @param {number} time ms, usually ElapsedTime
+   * @param {number} periodMs distance between random knots
+   * @param {number} amplitude
+   * @param {number} seed
+   */
+  constructor(time, periodMs = 1000, amplitude = 1, seed = 0) {
+    super(time, periodMs, amplitude);
+    this.#seed = seed;
+  }
+
+  computeValue() {
+    const [time, periodMs, amplitude] = this._values();
+    const position = time / periodMs;
+    const knot = Math.floor(position);
+    const t = position - knot;
+    const smooth = t * t * (3 - 2 * t);
+    const from = this.#knotValue(knot);
+    return amplitude * (from + (this.#knotValue(knot + 1) - from) * smooth);
+  }
+
+  #knotValue(knot) {
+    const hash = Math.sin((knot + this.#seed * 101.3) * 12.9898) * 43758.5453;
+    return (hash - Math.floor(hash)) * 2 - 1;
+  }
+}
+
+class Damped extends PrimitiveAware {
+  #target;
+  #ticker;
+  #halfLifeMs;
+  #value = null;
+
+  /**
+   * Follows the target, closing half the gap every halfLifeMs
+   * @param {number} target
+   * @param {Ticker} ticker
+   * @param {number} halfLifeMs
+   */
+  constructor(target, ticker, halfLifeMs = 100) {
+    super();
+    this.#target = target;
+    this.#ticker = ticker;
+    this.#halfLifeMs = halfLifeMs;
+  }
+
+  version() {
+    return this.#ticker.frame();
+  }
+
+  computeValue() {
+    const target = Number(this.#target);
+    this.#value =
+      this.#value === null
+        ? target
+        : this.#value +
+          (target - this.#value) *
+            (1 - 2 ** (-this.#ticker.deltaMs() / this.#halfLifeMs));
+    return this.#value;
+  }
+}
+
+class Vec2 {
+  #x;
+  #y;
+
+  /**
+   * @param {number} x lazy expressions stay lazy
+   * @param {number} y
+   */
+  constructor(x = 0, y = 0) {
+    this.#x = x;
+    this.#y = y;
+  }
+
+  x() {
+    return this.#x;
+  }
+
+  y() {
+    return this.#y;
+  }
+
+  /**
+   * @returns {number[]} [x, y] right now
+   */
+  value() {
+    return [Number(this.#x), Number(this.#y)];
+  }
+
+  add(vector) {
+    return new Vec2(new Sum(this.#x, vector.x()), new Sum(this.#y, vector.y()));
+  }
+
+  sub(vector) {
+    return new Vec2(new Sub(this.#x, vector.x()), new Sub(this.#y, vector.y()));
+  }
+
+  mul(factor) {
+    return new Vec2(new Mul(this.#x, factor), new Mul(this.#y, factor));
+  }
+
+  lerp(vector, t) {
+    return new Vec2(
+      new Lerp(this.#x, vector.x(), t),
+      new Lerp(this.#y, vector.y(), t)
+    );
+  }
+
+  damped(ticker, halfLifeMs) {
+    return new Vec2(
+      new Damped(this.#x, ticker, halfLifeMs),
+      new Damped(this.#y, ticker, halfLifeMs)
+    );
+  }
+
+  length() {
+    return new Hypot(this.#x, this.#y);
+  }
+}
+
+export {
+  PrimitiveAware,
+  BinaryOperation,
+  UnaryOperation,
+  TernaryOperation,
+  RandomNumber,
+  StableNumber,
+  RoundNumber,
+  FloorNumber,
+  AbsNumber,
+  Sin,
+  Cos,
+  BottomLimitNumber,
+  Division,
+  Sum,
+  Sub,
+  Mul,
+  Min,
+  Max,
+  Hypot,
+  Clamp,
+  Lerp,
+  Variable,
+  ElapsedTime,
+  Oscillator,
+  Noise,
+  Damped,
+  Vec2,
+};
@@ -0,0 +1,111 @@
+const fakeClockTimeout = globalThis.setTimeout;
+
+const fakeClockYielding = () => {
+  return new Promise((resolve) => fakeClockTimeout(resolve, 0));
+};
+
+class FakeClock {
+  #now;
+  #frameMs;
+  #timers = new Map();
+  #lastId = 0;
+
+  /**
+   * Manual time for Ticker, throttle, timeouts and frames: nothing runs until
+   * advance() moves the clock
+   * @param {number} now ms
+   * @param {number} frameMs delay of requestFrame callbacks
+   */
+  constructor(now = 0, frameMs = 1000 / 60) {
+    this.#now = now;
+    this.#frameMs = frameMs;
+  }
+
+  now() {
+    return this.#now;
+  }
+
+  frameMs() {
+    return this.#frameMs;
+  }
+
+  setTimeout(fn, delayMs = 0) {
+    return this.#schedule(() => fn(), Math.max(0, delayMs));
+  }
+
+  clearTimeout(id) {
+    this.#timers.delete(id);
+  }
+
+  requestFrame(fn) {
+    return this.#schedule((time) => fn(time), this.#frameMs);
+  }
+
+  cancelFrame(id) {
+    this.#timers.delete(id);
+  }
+
+  /**
+   * @returns {number} timeouts and frames waiting to run
+   */
+  pendingCount() {
+    return this.#timers.size;
+  }
+
+  /**
+   * Runs everything due within ms in time order, letting promises settle
+   * after each callback
+   * @param {number} ms
+   */
+  async advance(ms) {
+    const until = this.#now + ms;
+    for (let timer = this.#next(until); timer; timer = this.#next(until)) {
+      this.#timers.delete(timer.id);
+      this.#now = Math.max(this.#now, timer.at);
+      timer.fn(this.#now);
+      await fakeClockYielding();
+    }
+    this.#now = Math.max(this.#now, until);
+    await fakeClockYielding();
+    return this;
+  }
+
+  /**
+   * @param {number} count
+   */
+  advanceFrames(count = 1) {
+    return this.advance(this.#frameMs * count);
+  }
+
+  /**
+   * @returns {object} the timing part of an environment
+   */
+  adapters() {
+    return {
+      now: this.now.bind(this),
+      setTimeout: this.setTimeout.bind(this),
+      clearTimeout: this.clearTimeout.bind(this),
+      requestFrame: this.requestFrame.bind(this),
+      cancelFrame: this.cancelFrame.bind(this),
+    };
+  }
+
+  #schedule(fn, delayMs) {
+    const id = ++this.#lastId;
+    this.#timers.set(id, { id, at: this.#now + delayMs, fn });
+    return id;
+  }
+
+  #next(until) {
+    let next = null;
+    this.#timers.forEach((timer) => {
+      // repeated frame steps drift by float rounding
+      if (timer.at <= until + 1e-6 && (!next || timer.at < next.at)) {
+        next = timer;
+      }
+    });
+    return next;
+  }
+}
+
+export { fakeClockYielding, FakeClock };
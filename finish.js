@@ -0,0 +1,218 @@
+import { canvasSnapshot } from "./canvas-size.js";
+import { coveragePercent } from "./coverage.js";
+import { environment } from "./environment.js";
+import { scratchFrameRequest } from "./layers.js";
+import { Physics, Sand, SandStream } from "./particles.js";
+
+const finishEasings = {
+  linear: (inT) => inT,
+  "ease-in": (inT) => inT * inT,
+  "ease-out": (inT) => inT * (2 - inT),
+  "ease-in-out": (inT) =>
+    inT < 0.5 ? 2 * inT * inT : -1 + (4 - 2 * inT) * inT,
+};
+
+const finishSnapshotDrawing = (inCanvasCtx, inSnapshot) => {
+  inCanvasCtx.save();
+  inCanvasCtx.setTransform(1, 0, 0, 1, 0, 0);
+  inCanvasCtx.drawImage(inSnapshot, 0, 0);
+  inCanvasCtx.restore();
+};
+
+const finishNoiseBuilding = (
+  inSize,
+  inGrain,
+  inRandom = environment().random
+) => {
+  const columns = Math.ceil(inSize.width / inGrain);
+  const rows = Math.ceil(inSize.height / inGrain);
+  const noise = new Float32Array(columns * rows);
+  for (let i = 0; i < noise.length; i++) {
+    noise[i] = inRandom();
+  }
+
+  return { grain: inGrain, columns, rows, noise };
+};
+
+const finishNoiseErasing = (inCanvasCtx, inNoise, inProgress) => {
+  inCanvasCtx.globalCompositeOperation = "destination-out";
+  inCanvasCtx.beginPath();
+  for (let row = 0; row < inNoise.rows; row++) {
+    for (let column = 0; column < inNoise.columns; column++) {
+      if (inNoise.noise[row * inNoise.columns + column] < inProgress) {
+        inCanvasCtx.rect(
+          column * inNoise.grain,
+          row * inNoise.grain,
+          inNoise.grain,
+          inNoise.grain
+        );
+      }
+    }
+  }
+  inCanvasCtx.fill();
+};
+
+const finishEffects = {
+  fade: {
+    frame: (inCanvasCtx, inSnapshot, inProgress) => {
+      inCanvasCtx.globalAlpha = 1 - inProgress;
+      finishSnapshotDrawing(inCanvasCtx, inSnapshot);
+    },
+  },
+  wipe: {
+    start: (inLayer, inState) => {
+      const origin = inState.lastPosition ?? {
+        x: inState.size.width / 2,
+        y: inState.size.height / 2,
+      };
+      return {
+        origin,
+        radius: Math.max(
+          Math.hypot(origin.x, origin.y),
+          Math.hypot(inState.size.width - origin.x, origin.y),
+          Math.hypot(origin.x, inState.size.height - origin.y),
+          Math.hypot(
+            inState.size.width - origin.x,
+            inState.size.height - origin.y
+          )
+        ),
+      };
+    },
+    frame: (inCanvasCtx, inSnapshot, inProgress, inEffectState) => {
+      finishSnapshotDrawing(inCanvasCtx, inSnapshot);
+      inCanvasCtx.globalCompositeOperation = "destination-out";
+      inCanvasCtx.beginPath();
+      inCanvasCtx.arc(
+        inEffectState.origin.x,
+        inEffectState.origin.y,
+        inEffectState.radius * inProgress,
+        0,
+        2 * Math.PI
+      );
+      inCanvasCtx.fill();
+    },
+  },
+  dissolve: {
+    start: (inLayer, inState, inFinish) =>
+      finishNoiseBuilding(inState.size, inFinish.grain ?? 6, inState.random),
+    frame: (inCanvasCtx, inSnapshot, inProgress, inEffectState) => {
+      finishSnapshotDrawing(inCanvasCtx, inSnapshot);
+      finishNoiseErasing(inCanvasCtx, inEffectState, inProgress);
+    },
+  },
+  sand: {
+    start: (inLayer, inState, inFinish) => {
+      const colors = inFinish.colors ?? inLayer.dustColors ?? ["#888"];
+      const rowHeight = inFinish.rowHeight ?? 30;
+      const remaining = 1 - coveragePercent(inLayer.coverage) / 100;
+      for (let top = 0; top < inState.size.height; top += rowHeight) {
+        inFinish.scene.addObject(
+          new Sand(
+            new SandStream(
+              colors,
+              inState.size.width,
+              inFinish.ticker,
+              inFinish.scene,
+              top,
+              0,
+              Physics.shared(),
+              [0, 0],
+              inState.random
+            ),
+            Math.ceil((inFinish.parts ?? 120) * remaining),
+            inFinish.streams ?? 8
+          )
+        );
+      }
+
+      return finishNoiseBuilding(
+        inState.size,
+        inFinish.grain ?? 4,
+        inState.random
+      );
+    },
+    frame: (inCanvasCtx, inSnapshot, inProgress, inEffectState) => {
+      finishSnapshotDrawing(inCanvasCtx, inSnapshot);
+      finishNoiseErasing(inCanvasCtx, inEffectState, inProgress);
+    },
+  },
+};
+
+const finishEasing = (inEasing = "ease-out") => {
+  return typeof inEasing === "function" ? inEasing : finishEasings[inEasing];
+};
+
+const finishEffect = (inName = "fade") => {
+  if (!Object.hasOwn(finishEffects, inName)) {
+    throw Error(
+      `unknown finish effect ${inName}, use ${Object.keys(finishEffects).join(
+        ", "
+      )}`
+    );
+  }
+
+  return finishEffects[inName];
+};
+
+/**
+ * @returns {Promise<boolean>} true once the cover is cleared, false when the
+ * card is destroyed first
+ */
+const scratchLayerFinishing = (inLayer, inState, inFinish, inAfterFrameFn) => {
+  const effect = finishEffect(inFinish.effect);
+  const easing = finishEasing(inFinish.easing);
+  const duration = inFinish.duration ?? 600;
+  const canvasCtx = inLayer.canvasCtx;
+  const snapshot = canvasSnapshot(canvasCtx.canvas);
+  const effectState = effect.start?.(inLayer, inState, inFinish) ?? {};
+  inLayer.finishing = true;
+
+  return new Promise((resolve) => {
+    // destroy() cancels the frames below, so it settles the finish instead
+    const stopping = () => {
+      inLayer.finishing = false;
+      resolve(false);
+    };
+    inState.removers.push(stopping);
+    const startTime = environment().now();
+    const frame = () => {
+      const progress = Math.min(
+        1,
+        (environment().now() - startTime) / duration
+      );
+      canvasCtx.save();
+      canvasCtx.setTransform(1, 0, 0, 1, 0, 0);
+      canvasCtx.globalCompositeOperation = "source-over";
+      canvasCtx.clearRect(
+        0,
+        0,
+        canvasCtx.canvas.width,
+        canvasCtx.canvas.height
+      );
+      canvasCtx.restore();
+      canvasCtx.save();
+      canvasCtx.globalCompositeOperation = "source-over";
+      effect.frame(canvasCtx, snapshot, easing(progress), effectState);
+      canvasCtx.restore();
+      inAfterFrameFn();
+
+      if (progress < 1) {
+        scratchFrameRequest(inState, frame);
+        return;
+      }
+
+      inLayer.finishing = false;
+      inState.removers.splice(inState.removers.indexOf(stopping), 1);
+      resolve(true);
+    };
+    scratchFrameRequest(inState, frame);
+  });
+};
+
+export {
+  finishEasings,
+  finishEffects,
+  finishEasing,
+  finishEffect,
+  scratchLayerFinishing,
+};
@@ -0,0 +1,37 @@
+import { environment } from "./environment.js";
+
+const truthy = (inExpressionResult, inTruthyFn) => {
+  return inExpressionResult ? inTruthyFn() : undefined;
+};
+
+const throttle = (inFn, inTime) => {
+  const noResult = Symbol("no-result");
+  let lastCallTime = environment().now();
+  let lastResult = noResult;
+  const updateResults = (in2Now, in2NewResult) => {
+    lastCallTime = in2Now;
+    lastResult = in2NewResult;
+  };
+  return (...args) => {
+    const now = environment().now();
+    const newResult =
+      lastResult === noResult || now - lastCallTime > inTime
+        ? inFn(...args)
+        : noResult;
+    truthy(newResult !== noResult, updateResults.bind(null, now, newResult));
+    return lastResult;
+  };
+};
+
+const once = (inFn) => {
+  const inNoResult = Symbol("no-result");
+  let inCallResult = inNoResult;
+  return (...in2Args) => {
+    truthy(inCallResult === inNoResult, () => {
+      inCallResult = inFn(...in2Args);
+    });
+    return inCallResult;
+  };
+};
+
+export { truthy, throttle, once };
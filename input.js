@@ -0,0 +1,432 @@
+import { environment } from "./environment.js";
+import { pointerPosition } from "./pointer.js";
+
+class Pointer {
+  #originalEvent;
+  #canvas;
+
+  /**
+   * @param {PointerEvent} originalEvent
+   * @param {Canvas} canvas
+   */
+  constructor(originalEvent, canvas) {
+    this.#originalEvent = originalEvent;
+    this.#canvas = canvas;
+  }
+
+  id() {
+    return this.#originalEvent.pointerId;
+  }
+
+  pressure() {
+    return this.#originalEvent.pressure ?? 0.5;
+  }
+
+  offset() {
+    const position = pointerPosition(
+      this.#originalEvent,
+      this.#canvas.element(),
+      { width: this.#canvas.width(), height: this.#canvas.height() }
+    );
+    return [position.y, position.x];
+  }
+}
+
+class ToObject {
+  #objectConstructor;
+
+  constructor(objectConstructor) {
+    this.#objectConstructor = objectConstructor;
+  }
+
+  object(...args) {
+    return new this.#objectConstructor(...args);
+  }
+}
+
+class CanvasEvent {
+  /**
+   * @type {Function[]}
+   */
+  #handlers;
+  /**
+   * @type {Canvas}
+   */
+  #canvas;
+  /**
+   * @type {string}
+   */
+  #eventName;
+  /**
+   * @type {Function|null}
+   */
+  #listener = null;
+
+  /**
+   * @param {Canvas} canvas
+   * @param {string} eventName
+   * @param {Handler[]} handlers
+   */
+  constructor(canvas, eventName, handlers) {
+    this.#handlers = handlers;
+    this.#canvas = canvas;
+    this.#eventName = eventName;
+  }
+
+  /**
+   * @param {ToObject} eventAdapter
+   * @returns
+   */
+  watchEvent(toObject) {
+    this.unwatchEvent();
+    this.#listener = (event) => {
+      this.#handlers.forEach((handler) => {
+        handler.do(toObject.object(event, this.#canvas));
+      });
+    };
+    this.#canvas.element().addEventListener(this.#eventName, this.#listener);
+    return this;
+  }
+
+  unwatchEvent() {
+    if (this.#listener) {
+      this.#canvas
+        .element()
+        .removeEventListener(this.#eventName, this.#listener);
+      this.#listener = null;
+    }
+    return this;
+  }
+}
+
+class Handler {
+  #fn;
+
+  /**
+   * @param {Function} fn
+   */
+  constructor(fn) {
+    this.#fn = fn;
+  }
+
+  do(...args) {
+    return this.#fn(...args);
+  }
+}
+
+class Gesture {
+  #type;
+  #pointer;
+  #target;
+  #offset;
+  #start;
+  #velocity;
+  #durationMs;
+
+  /**
+   * @param {string} type
+   * @param {Pointer} pointer
+   * @param {CanvasObject|null} target node hit when the pointer went down
+   * @param {number[]} offset [top, left]
+   * @param {number[]} start [top, left]
+   * @param {number[]} velocity [top, left] px/ms
+   * @param {number} durationMs
+   */
+  constructor(type, pointer, target, offset, start, velocity, durationMs) {
+    this.#type = type;
+    this.#pointer = pointer;
+    this.#target = target;
+    this.#offset = offset;
+    this.#start = start;
+    this.#velocity = velocity;
+    this.#durationMs = durationMs;
+  }
+
+  type() {
+    return this.#type;
+  }
+
+  pointer() {
+    return this.#pointer;
+  }
+
+  target() {
+    return this.#target;
+  }
+
+  offset() {
+    return this.#offset;
+  }
+
+  start() {
+    return this.#start;
+  }
+
+  delta() {
+    return [this.#offset[0] - this.#start[0], this.#offset[1] - this.#start[1]];
+  }
+
+  velocity() {
+    return this.#velocity;
+  }
+
+  durationMs() {
+    return this.#durationMs;
+  }
+
+  /**
+   * @returns {string} "up", "down", "left" or "right" by the main axis
+   */
+  direction() {
+    const [top, left] = this.delta();
+    if (Math.abs(left) >= Math.abs(top)) {
+      return left < 0 ? "left" : "right";
+    }
+    return top < 0 ? "up" : "down";
+  }
+}
+
+class InputManager {
+  #canvas;
+  #scene;
+  #options;
+  #subscriptions = new Set();
+  #pointers = new Map();
+  #lastTap = null;
+  #removers = [];
+
+  /**
+   * @param {Canvas} canvas
+   * @param {Scene} scene
+   * @param {object} options tapMs, tapDistance, doubleTapMs, longPressMs and
+   * swipeVelocity (px/ms)
+   */
+  constructor(canvas, scene, options = {}) {
+    this.#canvas = canvas;
+    this.#scene = scene;
+    this.#options = {
+      tapMs: 250,
+      tapDistance: 10,
+      doubleTapMs: 300,
+      longPressMs: 500,
+      swipeVelocity: 0.5,
+      ...options,
+    };
+  }
+
+  /**
+   * Gestures: "down", "move", "up", "tap", "doubletap", "longpress",
+   * "dragstart", "drag", "dragend" and "swipe"
+   * @param {string} type
+   * @param {Function} fn receives a Gesture
+   * @param {CanvasObject|null} target only gestures started on this node or
+   * inside it
+   * @returns {Function} unsubscribe
+   */
+  on(type, fn, target = null) {
+    const subscription = { type, fn, target };
+    this.#subscriptions.add(subscription);
+    return () => this.#subscriptions.delete(subscription);
+  }
+
+  watch() {
+    const element = this.#canvas.element();
+    element.style.touchAction = "none";
+    [
+      ["pointerdown", this.#down.bind(this)],
+      ["pointermove", this.#move.bind(this)],
+      ["pointerup", this.#up.bind(this)],
+      ["pointercancel", this.#cancel.bind(this)],
+    ].forEach(([eventName, listener]) => {
+      element.addEventListener(eventName, listener);
+      this.#removers.push(() =>
+        element.removeEventListener(eventName, listener)
+      );
+    });
+    return this;
+  }
+
+  destroy() {
+    this.#removers.forEach((remove) => remove());
+    this.#removers = [];
+    this.#pointers.forEach((state) =>
+      environment().clearTimeout(state.longPressTimer)
+    );
+    this.#pointers.clear();
+    this.#subscriptions.clear();
+    return this;
+  }
+
+  #down(event) {
+    const pointer = new Pointer(event, this.#canvas);
+    const offset = pointer.offset();
+    const state = {
+      target: this.#scene.hitTest(...offset),
+      start: offset,
+      offset,
+      startTime: event.timeStamp,
+      time: event.timeStamp,
+      velocity: [0, 0],
+      pointer,
+      dragging: false,
+      longPressed: false,
+      longPressTimer: null,
+    };
+    this.#canvas.element().setPointerCapture?.(event.pointerId);
+    this.#pointers.set(pointer.id(), state);
+    state.longPressTimer = environment().setTimeout(() => {
+      state.longPressed = true;
+      this.#emit("longpress", state);
+    }, this.#options.longPressMs);
+    this.#emit("down", state);
+  }
+
+  #move(event) {
+    const state = this.#pointers.get(event.pointerId);
+    if (!state) {
+      return;
+    }
+
+    const pointer = new Pointer(event, this.#canvas);
+    const offset = pointer.offset();
+    const elapsedMs = event.timeStamp - state.time;
+    if (elapsedMs > 0) {
+      state.velocity = [0, 1].map(
+        (axis) =>
+          state.velocity[axis] * 0.2 +
+          ((offset[axis] - state.offset[axis]) / elapsedMs) * 0.8
+      );
+    }
+    state.pointer = pointer;
+    state.offset = offset;
+    state.time = event.timeStamp;
+    this.#emit("move", state);
+
+    if (
+      !state.dragging &&
+      !state.longPressed &&
+      Math.hypot(offset[0] - state.start[0], offset[1] - state.start[1]) >
+        this.#options.tapDistance
+    ) {
+      state.dragging = true;
+      environment().clearTimeout(state.longPressTimer);
+      this.#emit("dragstart", state);
+    }
+    if (state.dragging) {
+      this.#emit("drag", state);
+    }
+  }
+
+  #up(event) {
+    const state = this.#pointers.get(event.pointerId);
+    if (!state) {
+      return;
+    }
+
+    const resting = event.timeStamp - state.time > 100;
+    const [top, left] = new Pointer(event, this.#canvas).offset();
+    if (top !== state.offset[0] || left !== state.offset[1]) {
+      this.#move(event);
+    }
+    if (resting) {
+      state.velocity = [0, 0];
+    }
+    this.#pointers.delete(event.pointerId);
+    environment().clearTimeout(state.longPressTimer);
+    this.#emit("up", state);
+    if (state.dragging) {
+      this.#emit("dragend", state);
+      if (Math.hypot(...state.velocity) >= this.#options.swipeVelocity) {
+        this.#emit("swipe", state);
+      }
+      return;
+    }
+
+    if (
+      state.longPressed ||
+      event.timeStamp - state.startTime > this.#options.tapMs
+    ) {
+      return;
+    }
+
+    this.#emit("tap", state);
+    const lastTap = this.#lastTap;
+    if (
+      lastTap &&
+      event.timeStamp - lastTap.time <= this.#options.doubleTapMs &&
+      Math.hypot(
+        state.offset[0] - lastTap.offset[0],
+        state.offset[1] - lastTap.offset[1]
+      ) <=
+        this.#options.tapDistance * 2
+    ) {
+      this.#lastTap = null;
+      this.#emit("doubletap", state);
+    } else {
+      this.#lastTap = { time: event.timeStamp, offset: state.offset };
+    }
+  }
+
+  #cancel(event) {
+    const state = this.#pointers.get(event.pointerId);
+    if (!state) {
+      return;
+    }
+
+    this.#pointers.delete(event.pointerId);
+    environment().clearTimeout(state.longPressTimer);
+    if (state.dragging) {
+      this.#emit("dragend", state);
+    }
+  }
+
+  #emit(type, state) {
+    const gesture = new Gesture(
+      type,
+      state.pointer,
+      state.target,
+      state.offset,
+      state.start,
+      state.velocity,
+      state.time - state.startTime
+    );
+    [...this.#subscriptions].forEach((subscription) => {
+      if (
+        subscription.type === type &&
+        (!subscription.target ||
+          InputManager.#within(state.target, subscription.target))
+      ) {
+        subscription.fn(gesture);
+      }
+    });
+  }
+
+  static #within(node, ancestor) {
+    for (let current = node; current; current = current.parent()) {
+      if (current === ancestor) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+class Timeout extends Handler {
+  /**
+   * @param {Function} fn
+   * @param {number} delay
+   */
+  constructor(fn, delay) {
+    super(() => environment().setTimeout(fn, delay));
+  }
+}
+
+export {
+  Pointer,
+  ToObject,
+  CanvasEvent,
+  Handler,
+  Gesture,
+  InputManager,
+  Timeout,
+};
@@ -0,0 +1,147 @@
+import {
+  canvasCtxBuilding,
+  canvasSnapshot,
+  canvasTransformApplying,
+} from "./canvas-size.js";
+import {
+  coverLayersBuilding,
+  coverLayersDrawing,
+  coverLayersLoading,
+} from "./cover.js";
+import { coverageBuilding, coverageFill } from "./coverage.js";
+import { environment } from "./environment.js";
+import { truthy } from "./functions.js";
+
+const scratchLayerBuilding = (inOptions, inLayerOptions, inIndex, inSize) => {
+  return {
+    index: inIndex,
+    canvasCtx: canvasCtxBuilding({}),
+    coverage: coverageBuilding(
+      inSize.width,
+      inSize.height,
+      inLayerOptions.coverageCellSize ?? inOptions.coverageCellSize
+    ),
+    cover: coverLayersLoading(coverLayersBuilding(inLayerOptions)),
+    coverDrawn: false,
+    scratchImages: inLayerOptions.scratchImages ?? inOptions.scratchImages,
+    reachPercent: inLayerOptions.reachPercent,
+    reachPercentHandler: inLayerOptions.reachPercentHandler,
+    dustColors: inLayerOptions.dustColors,
+    dustSampling: inLayerOptions.dustSampling ?? inOptions.dustSampling,
+    finish: inLayerOptions.finish ?? inOptions.finish,
+    finishing: false,
+    lastClearPercent: 0,
+    revealed: false,
+  };
+};
+
+const scratchLayersBuilding = (inOptions, inSize) => {
+  return (inOptions.layers ?? [inOptions]).map((layerOptions, index) =>
+    scratchLayerBuilding(inOptions, layerOptions, index, inSize)
+  );
+};
+
+const scratchActiveLayer = (inLayers) => {
+  return (
+    inLayers.find((layer) => !layer.revealed && !layer.finishing) ??
+    inLayers.at(-1)
+  );
+};
+
+const scratchLayerCoverDrawing = (inLayer, inState) => {
+  return inLayer.cover.then((layers) => {
+    truthy(!inState.destroyed && !inLayer.revealed, () => {
+      inLayer.canvasCtx.globalCompositeOperation = "source-over";
+      inLayer.canvasCtx.clearRect(
+        0,
+        0,
+        inState.size.width,
+        inState.size.height
+      );
+      coverLayersDrawing(
+        inLayer.canvasCtx,
+        inState.size,
+        layers,
+        inState.random
+      );
+      inLayer.coverDrawn = true;
+    });
+  });
+};
+
+const scratchLayerClearing = (inLayer, inState) => {
+  inLayer.revealed = true;
+  inLayer.canvasCtx.clearRect(0, 0, inState.size.width, inState.size.height);
+  coverageFill(inLayer.coverage, true);
+};
+
+const scratchLayerResizing = (inLayer, inCanvasElement, inState) => {
+  const canvasElement = inLayer.canvasCtx.canvas;
+  const inSnapshot =
+    inLayer.coverDrawn && !inLayer.revealed
+      ? canvasSnapshot(canvasElement)
+      : null;
+  canvasElement.width = inCanvasElement.width;
+  canvasElement.height = inCanvasElement.height;
+  canvasTransformApplying(inLayer.canvasCtx, inState.size);
+
+  return scratchLayerCoverDrawing(inLayer, inState).then(() => {
+    truthy(inSnapshot && !inState.destroyed, () => {
+      inLayer.canvasCtx.save();
+      inLayer.canvasCtx.setTransform(1, 0, 0, 1, 0, 0);
+      inLayer.canvasCtx.globalCompositeOperation = "destination-in";
+      inLayer.canvasCtx.drawImage(
+        inSnapshot,
+        0,
+        0,
+        canvasElement.width,
+        canvasElement.height
+      );
+      inLayer.canvasCtx.restore();
+    });
+  });
+};
+
+const scratchLayersCompositing = (
+  inCanvasCtx,
+  inLayers,
+  inUnderlayElement = null
+) => {
+  inCanvasCtx.save();
+  inCanvasCtx.setTransform(1, 0, 0, 1, 0, 0);
+  inCanvasCtx.globalCompositeOperation = "source-over";
+  inCanvasCtx.clearRect(
+    0,
+    0,
+    inCanvasCtx.canvas.width,
+    inCanvasCtx.canvas.height
+  );
+  truthy(inUnderlayElement, () =>
+    inCanvasCtx.drawImage(inUnderlayElement, 0, 0)
+  );
+  [...inLayers].reverse().forEach((layer) => {
+    truthy(!layer.revealed, () =>
+      inCanvasCtx.drawImage(layer.canvasCtx.canvas, 0, 0)
+    );
+  });
+  inCanvasCtx.restore();
+};
+
+const scratchFrameRequest = (inState, inFrameFn) => {
+  const frameId = environment().requestFrame(() => {
+    inState.frames.delete(frameId);
+    inFrameFn();
+  });
+  inState.frames.add(frameId);
+};
+
+export {
+  scratchLayerBuilding,
+  scratchLayersBuilding,
+  scratchActiveLayer,
+  scratchLayerCoverDrawing,
+  scratchLayerClearing,
+  scratchLayerResizing,
+  scratchLayersCompositing,
+  scratchFrameRequest,
+};
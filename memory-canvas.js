@@ -0,0 +1,734 @@
+const memoryNamedColors = {
+  transparent: [0, 0, 0, 0],
+  black: [0, 0, 0, 255],
+  white: [255, 255, 255, 255],
+  gray: [128, 128, 128, 255],
+  grey: [128, 128, 128, 255],
+  red: [255, 0, 0, 255],
+  green: [0, 128, 0, 255],
+  blue: [0, 0, 255, 255],
+  yellow: [255, 255, 0, 255],
+  orange: [255, 165, 0, 255],
+  gold: [255, 215, 0, 255],
+  tomato: [255, 99, 71, 255],
+};
+
+const memoryColors = new Map();
+
+const memoryColorParsing = (inColor) => {
+  const color = String(inColor).trim().toLowerCase();
+  if (memoryColors.has(color)) {
+    return memoryColors.get(color);
+  }
+
+  const hex = color.match(/^#([0-9a-f]{3,8})$/)?.[1];
+  const channels = color
+    .match(/^rgba?\(([^)]*)\)$/)?.[1]
+    .split(/[\s,/]+/)
+    .filter(Boolean);
+  let rgba = memoryNamedColors[color] ?? [0, 0, 0, 255];
+  if (hex && (hex.length === 3 || hex.length === 4)) {
+    rgba = [...hex.padEnd(4, "f")].map((digit) => parseInt(digit + digit, 16));
+  } else if (hex && (hex.length === 6 || hex.length === 8)) {
+    rgba = hex
+      .padEnd(8, "f")
+      .match(/../g)
+      .map((pair) => parseInt(pair, 16));
+  } else if (channels) {
+    rgba = channels.map((channel, index) => {
+      const value = parseFloat(channel);
+      if (index === 3) {
+        return Math.round((channel.endsWith("%") ? value / 100 : value) * 255);
+      }
+
+      return Math.round(channel.endsWith("%") ? (value * 255) / 100 : value);
+    });
+    rgba[3] ??= 255;
+  }
+
+  memoryColors.set(color, rgba);
+  return rgba;
+};
+
+const memoryMatrixMultiplying = (inMatrix, inOther) => {
+  const [a, b, c, d, e, f] = inMatrix;
+  const [a2, b2, c2, d2, e2, f2] = inOther;
+  return [
+    a * a2 + c * b2,
+    b * a2 + d * b2,
+    a * c2 + c * d2,
+    b * c2 + d * d2,
+    a * e2 + c * f2 + e,
+    b * e2 + d * f2 + f,
+  ];
+};
+
+const memoryMatrixInverting = (inMatrix) => {
+  const [a, b, c, d, e, f] = inMatrix;
+  const determinant = a * d - b * c;
+  if (!determinant) {
+    return null;
+  }
+
+  return [
+    d / determinant,
+    -b / determinant,
+    -c / determinant,
+    a / determinant,
+    (c * f - d * e) / determinant,
+    (b * e - a * f) / determinant,
+  ];
+};
+
+const memoryPointTransforming = (inMatrix, inX, inY) => {
+  const [a, b, c, d, e, f] = inMatrix;
+  return [a * inX + c * inY + e, b * inX + d * inY + f];
+};
+
+class MemoryImageData {
+  /**
+   * ImageData stand-in: RGBA bytes, not premultiplied
+   * @param {number} width
+   * @param {number} height
+   * @param {Uint8ClampedArray} data
+   */
+  constructor(width, height, data) {
+    this.width = width;
+    this.height = height;
+    this.data = data ?? new Uint8ClampedArray(width * height * 4);
+  }
+}
+
+class MemoryGradient {
+  #offsetFn;
+  #stops = [];
+
+  /**
+   * @param {Function} offsetFn maps a user space point to 0..1
+   */
+  constructor(offsetFn) {
+    this.#offsetFn = offsetFn;
+  }
+
+  addColorStop(offset, color) {
+    this.#stops.push({ offset, rgba: memoryColorParsing(color) });
+    this.#stops.sort((a, b) => a.offset - b.offset);
+  }
+
+  colorAt(x, y) {
+    if (!this.#stops.length) {
+      return memoryNamedColors.transparent;
+    }
+
+    const offset = Math.min(1, Math.max(0, this.#offsetFn(x, y)));
+    const next = this.#stops.findIndex((stop) => stop.offset >= offset);
+    if (next <= 0) {
+      return this.#stops[Math.max(0, next)].rgba;
+    }
+
+    const from = this.#stops[next - 1];
+    const to = this.#stops[next];
+    const amount =
+      to.offset > from.offset
+        ? (offset - from.offset) / (to.offset - from.offset)
+        : 1;
+    return from.rgba.map((channel, index) =>
+      Math.round(channel + (to.rgba[index] - channel) * amount)
+    );
+  }
+}
+
+class MemoryPattern {
+  #pixels;
+  #repeatX;
+  #repeatY;
+
+  /**
+   * @param {MemoryImageData} pixels
+   * @param {string} repetition "repeat", "repeat-x", "repeat-y" or "no-repeat"
+   */
+  constructor(pixels, repetition) {
+    this.#pixels = pixels;
+    this.#repeatX = repetition === "repeat" || repetition === "repeat-x";
+    this.#repeatY = repetition === "repeat" || repetition === "repeat-y";
+  }
+
+  colorAt(x, y) {
+    const { width, height, data } = this.#pixels;
+    let column = Math.floor(x);
+    let row = Math.floor(y);
+    column = this.#repeatX ? ((column % width) + width) % width : column;
+    row = this.#repeatY ? ((row % height) + height) % height : row;
+    if (column < 0 || row < 0 || column >= width || row >= height) {
+      return memoryNamedColors.transparent;
+    }
+
+    const index = (row * width + column) * 4;
+    return [data[index], data[index + 1], data[index + 2], data[index + 3]];
+  }
+}
+
+class MemoryPath {
+  #matrixFn;
+  #subpaths = [];
+
+  /**
+   * Path2D stand-in, also the current path of a MemoryContext
+   * @param {Function} matrixFn transform applied as points are added
+   */
+  constructor(matrixFn = () => [1, 0, 0, 1, 0, 0]) {
+    this.#matrixFn = matrixFn;
+  }
+
+  subpaths() {
+    return this.#subpaths;
+  }
+
+  moveTo(x, y) {
+    this.#subpaths.push([memoryPointTransforming(this.#matrixFn(), x, y)]);
+  }
+
+  lineTo(x, y) {
+    if (!this.#subpaths.length) {
+      this.moveTo(x, y);
+      return;
+    }
+
+    this.#subpaths.at(-1).push(memoryPointTransforming(this.#matrixFn(), x, y));
+  }
+
+  closePath() {
+    const subpath = this.#subpaths.at(-1);
+    if (subpath?.length) {
+      this.#subpaths.push([subpath[0]]);
+    }
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    this.ellipse(
+      x,
+      y,
+      radius,
+      radius,
+      0,
+      startAngle,
+      endAngle,
+      counterclockwise
+    );
+  }
+
+  ellipse(
+    x,
+    y,
+    radiusX,
+    radiusY,
+    rotation,
+    startAngle,
+    endAngle,
+    counterclockwise = false
+  ) {
+    let sweep = endAngle - startAngle;
+    if (counterclockwise) {
+      sweep = sweep <= -2 * Math.PI ? -2 * Math.PI : sweep % (2 * Math.PI);
+      sweep = sweep > 0 ? sweep - 2 * Math.PI : sweep;
+    } else {
+      sweep = sweep >= 2 * Math.PI ? 2 * Math.PI : sweep % (2 * Math.PI);
+      sweep = sweep < 0 ? sweep + 2 * Math.PI : sweep;
+    }
+    const steps = Math.min(
+      256,
+      Math.max(8, Math.ceil(Math.abs(sweep) * Math.max(radiusX, radiusY)))
+    );
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    for (let step = 0; step <= steps; step++) {
+      const angle = startAngle + (sweep * step) / steps;
+      const pointX = radiusX * Math.cos(angle);
+      const pointY = radiusY * Math.sin(angle);
+      this.lineTo(
+        x + pointX * cos - pointY * sin,
+        y + pointX * sin + pointY * cos
+      );
+    }
+  }
+
+  /**
+   * @param {number[]} matrix
+   * @returns {number[][][]} subpaths in device pixels
+   */
+  transformed(matrix) {
+    return this.#subpaths.map((subpath) =>
+      subpath.map(([x, y]) => memoryPointTransforming(matrix, x, y))
+    );
+  }
+}
+
+class MemoryContext {
+  #canvas;
+  #matrix = [1, 0, 0, 1, 0, 0];
+  #states = [];
+  #path;
+
+  /**
+   * CanvasRenderingContext2D stand-in. Fills, images, gradients, patterns and
+   * the source-over, destination-out, destination-in and copy operations are
+   * rasterised per pixel centre without anti-aliasing; lines and text are not
+   * drawn.
+   * @param {MemoryCanvas} canvas
+   */
+  constructor(canvas) {
+    this.#canvas = canvas;
+    this.reset();
+  }
+
+  get canvas() {
+    return this.#canvas;
+  }
+
+  reset() {
+    this.globalAlpha = 1;
+    this.globalCompositeOperation = "source-over";
+    this.fillStyle = "#000";
+    this.strokeStyle = "#000";
+    this.lineWidth = 1;
+    this.font = "10px sans-serif";
+    this.textAlign = "start";
+    this.textBaseline = "alphabetic";
+    this.imageSmoothingEnabled = true;
+    this.#matrix = [1, 0, 0, 1, 0, 0];
+    this.#states = [];
+    this.beginPath();
+  }
+
+  save() {
+    this.#states.push({
+      matrix: this.#matrix,
+      globalAlpha: this.globalAlpha,
+      globalCompositeOperation: this.globalCompositeOperation,
+      fillStyle: this.fillStyle,
+      strokeStyle: this.strokeStyle,
+      lineWidth: this.lineWidth,
+      font: this.font,
+      textAlign: this.textAlign,
+      textBaseline: this.textBaseline,
+    });
+  }
+
+  restore() {
+    const state = this.#states.pop();
+    if (state) {
+      const { matrix, ...properties } = state;
+      this.#matrix = matrix;
+      Object.assign(this, properties);
+    }
+  }
+
+  getTransform() {
+    const [a, b, c, d, e, f] = this.#matrix;
+    return { a, b, c, d, e, f };
+  }
+
+  setTransform(a, b, c, d, e, f) {
+    this.#matrix =
+      typeof a === "object"
+        ? [a.a, a.b, a.c, a.d, a.e, a.f]
+        : [a, b, c, d, e, f];
+  }
+
+  resetTransform() {
+    this.setTransform(1, 0, 0, 1, 0, 0);
+  }
+
+  transform(a, b, c, d, e, f) {
+    this.#matrix = memoryMatrixMultiplying(this.#matrix, [a, b, c, d, e, f]);
+  }
+
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+
+  beginPath() {
+    this.#path = new MemoryPath(() => this.#matrix);
+  }
+
+  moveTo(x, y) {
+    this.#path.moveTo(x, y);
+  }
+
+  lineTo(x, y) {
+    this.#path.lineTo(x, y);
+  }
+
+  closePath() {
+    this.#path.closePath();
+  }
+
+  rect(x, y, width, height) {
+    this.#path.rect(x, y, width, height);
+  }
+
+  arc(...args) {
+    this.#path.arc(...args);
+  }
+
+  ellipse(...args) {
+    this.#path.ellipse(...args);
+  }
+
+  /**
+   * @param {MemoryPath|string} [path] the current path when omitted
+   * @param {string} [fillRule] "nonzero" or "evenodd"
+   */
+  fill(path, fillRule) {
+    if (!(path instanceof MemoryPath)) {
+      this.#filling(this.#path.subpaths(), path, this.#styleColor());
+      return;
+    }
+
+    this.#filling(path.transformed(this.#matrix), fillRule, this.#styleColor());
+  }
+
+  fillRect(x, y, width, height) {
+    const path = new MemoryPath(() => this.#matrix);
+    path.rect(x, y, width, height);
+    this.#filling(path.subpaths(), "nonzero", this.#styleColor());
+  }
+
+  clearRect(x, y, width, height) {
+    const path = new MemoryPath(() => this.#matrix);
+    path.rect(x, y, width, height);
+    const data = this.#canvas.pixels().data;
+    this.#spansFilling(path.subpaths(), "nonzero", (index) =>
+      data.fill(0, index, index + 4)
+    );
+  }
+
+  stroke() {}
+
+  strokeRect() {}
+
+  fillText() {}
+
+  strokeText() {}
+
+  measureText(text) {
+    return { width: String(text).length * (parseFloat(this.font) || 10) * 0.5 };
+  }
+
+  /**
+   * drawImage(image, dx, dy), (image, dx, dy, dw, dh) or
+   * (image, sx, sy, sw, sh, dx, dy, dw, dh)
+   */
+  drawImage(image, ...args) {
+    const source = memoryImagePixels(image);
+    const [sx, sy, sw, sh, dx, dy, dw, dh] =
+      args.length === 8
+        ? args
+        : [
+            0,
+            0,
+            source.width,
+            source.height,
+            args[0],
+            args[1],
+            args[2] ?? source.width,
+            args[3] ?? source.height,
+          ];
+    const pattern = new MemoryPattern(source, "no-repeat");
+    const path = new MemoryPath(() => this.#matrix);
+    path.rect(dx, dy, dw, dh);
+    this.#filling(path.subpaths(), "nonzero", (x, y) =>
+      pattern.colorAt(sx + ((x - dx) * sw) / dw, sy + ((y - dy) * sh) / dh)
+    );
+  }
+
+  createImageData(width, height) {
+    return typeof width === "object"
+      ? new MemoryImageData(width.width, width.height)
+      : new MemoryImageData(width, height);
+  }
+
+  getImageData(x, y, width, height) {
+    const pixels = this.#canvas.pixels();
+    const imageData = new MemoryImageData(width, height);
+    for (let row = 0; row < height; row++) {
+      for (let column = 0; column < width; column++) {
+        const sourceColumn = x + column;
+        const sourceRow = y + row;
+        if (
+          sourceColumn >= 0 &&
+          sourceRow >= 0 &&
+          sourceColumn < pixels.width &&
+          sourceRow < pixels.height
+        ) {
+          const from = (sourceRow * pixels.width + sourceColumn) * 4;
+          imageData.data.set(
+            pixels.data.subarray(from, from + 4),
+            (row * width + column) * 4
+          );
+        }
+      }
+    }
+    return imageData;
+  }
+
+  putImageData(imageData, x, y) {
+    const pixels = this.#canvas.pixels();
+    for (let row = 0; row < imageData.height; row++) {
+      for (let column = 0; column < imageData.width; column++) {
+        const targetColumn = x + column;
+        const targetRow = y + row;
+        if (
+          targetColumn >= 0 &&
+          targetRow >= 0 &&
+          targetColumn < pixels.width &&
+          targetRow < pixels.height
+        ) {
+          const from = (row * imageData.width + column) * 4;
+          pixels.data.set(
+            imageData.data.subarray(from, from + 4),
+            (targetRow * pixels.width + targetColumn) * 4
+          );
+        }
+      }
+    }
+  }
+
+  createLinearGradient(x0, y0, x1, y1) {
+    const length = (x1 - x0) ** 2 + (y1 - y0) ** 2;
+    return new MemoryGradient((x, y) =>
+      length ? ((x - x0) * (x1 - x0) + (y - y0) * (y1 - y0)) / length : 0
+    );
+  }
+
+  /**
+   * Treated as concentric around the end circle
+   */
+  createRadialGradient(x0, y0, r0, x1, y1, r1) {
+    return new MemoryGradient((x, y) =>
+      r1 !== r0 ? (Math.hypot(x - x1, y - y1) - r0) / (r1 - r0) : 0
+    );
+  }
+
+  createPattern(image, repetition) {
+    return new MemoryPattern(memoryImagePixels(image), repetition ?? "repeat");
+  }
+
+  #styleColor() {
+    return typeof this.fillStyle === "string"
+      ? () => memoryColorParsing(this.fillStyle)
+      : (x, y) => this.fillStyle.colorAt(x, y);
+  }
+
+  #filling(subpaths, fillRule, colorFn) {
+    const inverse = memoryMatrixInverting(this.#matrix);
+    if (!inverse) {
+      return;
+    }
+
+    const pixels = this.#canvas.pixels();
+    const operation = this.globalCompositeOperation;
+    const alpha = Math.min(1, Math.max(0, this.globalAlpha));
+    this.#spansFilling(subpaths, fillRule, (index, column, row) => {
+      const [x, y] = memoryPointTransforming(inverse, column + 0.5, row + 0.5);
+      memoryPixelCompositing(
+        pixels.data,
+        index,
+        colorFn(x, y),
+        alpha,
+        operation
+      );
+    });
+  }
+
+  #spansFilling(subpaths, fillRule = "nonzero", pixelFn) {
+    const { width, height } = this.#canvas.pixels();
+    const edges = subpaths.flatMap((subpath) =>
+      subpath.map((point, index) => [
+        point,
+        subpath[(index + 1) % subpath.length],
+      ])
+    );
+    let top = height;
+    let bottom = 0;
+    edges.forEach(([[, y]]) => {
+      top = Math.min(top, Math.max(0, Math.floor(y)));
+      bottom = Math.max(bottom, Math.min(height, Math.ceil(y)));
+    });
+    for (let row = top; row < bottom; row++) {
+      const centerY = row + 0.5;
+      const crossings = [];
+      edges.forEach(([[x0, y0], [x1, y1]]) => {
+        if (
+          (y0 <= centerY && centerY < y1) ||
+          (y1 <= centerY && centerY < y0)
+        ) {
+          crossings.push([
+            x0 + ((centerY - y0) * (x1 - x0)) / (y1 - y0),
+            y1 > y0 ? 1 : -1,
+          ]);
+        }
+      });
+      crossings.sort((a, b) => a[0] - b[0]);
+      let winding = 0;
+      crossings.forEach(([x, direction], index) => {
+        winding += fillRule === "evenodd" ? 1 : direction;
+        const inside = fillRule === "evenodd" ? winding % 2 : winding;
+        const next = crossings[index + 1];
+        if (!inside || !next) {
+          return;
+        }
+
+        const from = Math.max(0, Math.ceil(x - 0.5));
+        const to = Math.min(width, Math.ceil(next[0] - 0.5));
+        for (let column = from; column < to; column++) {
+          pixelFn((row * width + column) * 4, column, row);
+        }
+      });
+    }
+  }
+}
+
+const memoryPixelCompositing = (
+  inData,
+  inIndex,
+  inRgba,
+  inAlpha,
+  inOperation
+) => {
+  const sourceAlpha = (inRgba[3] / 255) * inAlpha;
+  const targetAlpha = inData[inIndex + 3] / 255;
+  let alpha = sourceAlpha + targetAlpha * (1 - sourceAlpha);
+  if (inOperation === "destination-out") {
+    alpha = targetAlpha * (1 - sourceAlpha);
+  } else if (inOperation === "destination-in") {
+    alpha = targetAlpha * sourceAlpha;
+  } else if (inOperation === "copy") {
+    inData.set(inRgba.slice(0, 3), inIndex);
+    alpha = sourceAlpha;
+  } else {
+    for (let channel = 0; channel < 3; channel++) {
+      inData[inIndex + channel] = alpha
+        ? Math.round(
+            (inRgba[channel] * sourceAlpha +
+              inData[inIndex + channel] * targetAlpha * (1 - sourceAlpha)) /
+              alpha
+          )
+        : 0;
+    }
+  }
+
+  inData[inIndex + 3] = Math.round(alpha * 255);
+  // premultiplied like a browser canvas: transparent pixels read as zeros
+  if (!inData[inIndex + 3]) {
+    inData.fill(0, inIndex, inIndex + 4);
+  }
+};
+
+const memoryImagePixels = (inImage) => {
+  return inImage instanceof MemoryImageData ? inImage : inImage.pixels();
+};
+
+class MemoryCanvas extends EventTarget {
+  #pixels;
+  #context = null;
+
+  /**
+   * HTMLCanvasElement stand-in; dispatch pointer events on it as plain
+   * Event objects with clientX, clientY and pointerId assigned
+   * @param {number} width
+   * @param {number} height
+   */
+  constructor(width = 300, height = 150) {
+    super();
+    this.#pixels = new MemoryImageData(width, height);
+    this.clientWidth = width;
+    this.clientHeight = height;
+    this.style = {};
+  }
+
+  get width() {
+    return this.#pixels.width;
+  }
+
+  set width(width) {
+    this.#resize(width, this.height);
+  }
+
+  get height() {
+    return this.#pixels.height;
+  }
+
+  set height(height) {
+    this.#resize(this.width, height);
+  }
+
+  /**
+   * @returns {MemoryImageData} the live pixels
+   */
+  pixels() {
+    return this.#pixels;
+  }
+
+  getContext(type) {
+    if (type !== "2d") {
+      return null;
+    }
+
+    this.#context ??= new MemoryContext(this);
+    return this.#context;
+  }
+
+  getBoundingClientRect() {
+    return {
+      left: 0,
+      top: 0,
+      x: 0,
+      y: 0,
+      right: this.clientWidth,
+      bottom: this.clientHeight,
+      width: this.clientWidth,
+      height: this.clientHeight,
+    };
+  }
+
+  setPointerCapture() {}
+
+  releasePointerCapture() {}
+
+  #resize(width, height) {
+    this.#pixels = new MemoryImageData(
+      Math.max(0, Math.floor(width)),
+      Math.max(0, Math.floor(height))
+    );
+    this.#context?.reset();
+  }
+}
+
+export {
+  memoryColorParsing,
+  MemoryImageData,
+  MemoryGradient,
+  MemoryPattern,
+  MemoryPath,
+  MemoryContext,
+  MemoryCanvas,
+};
@@ -0,0 +1,800 @@
+import { environment } from "./environment.js";
+import { Division, RandomNumber, RoundNumber } from "./expressions.js";
+import { randomPicking, randomSource } from "./random.js";
+import { CanvasObject } from "./scene.js";
+
+class Physics {
+  static #shared = null;
+  #gravity;
+  #wind;
+  #drag;
+  #floor;
+  #floorMode;
+  #bounce;
+  #friction;
+  #next = new Float64Array(4);
+
+  constructor({
+    gravity = 600,
+    wind = 0,
+    drag = 0.8,
+    floor = null,
+    floorMode = "bounce",
+    bounce = 0.35,
+    friction = 0.7,
+  } = {}) {
+    this.#gravity = gravity;
+    this.#wind = wind;
+    this.#drag = drag;
+    this.#floor = floor;
+    this.#floorMode = floorMode;
+    this.#bounce = bounce;
+    this.#friction = friction;
+  }
+
+  /**
+   * Default physics, one instance so pooled grains share a palette slot
+   * @returns {Physics}
+   */
+  static shared() {
+    Physics.#shared ??= new Physics();
+    return Physics.#shared;
+  }
+
+  /**
+   * @param {PhysicsParticle} particle
+   * @param {number} dt
+   */
+  step(particle, dt) {
+    const [top, left] = particle.position();
+    const [vx, vy] = particle.velocity();
+    const next = this.#integrate(top, left, vx, vy, particle.mass(), dt);
+    particle.accelerate(next[2], next[3]);
+    particle.move(
+      () => next[0],
+      () => next[1]
+    );
+    return particle;
+  }
+
+  /**
+   * @param {object} particles typed arrays of a ParticleEmitter
+   * @param {number} index
+   * @param {number} dt
+   */
+  stepAt(particles, index, dt) {
+    const next = this.#integrate(
+      particles.top[index],
+      particles.left[index],
+      particles.vx[index],
+      particles.vy[index],
+      particles.mass[index],
+      dt
+    );
+    particles.top[index] = next[0];
+    particles.left[index] = next[1];
+    particles.vx[index] = next[2];
+    particles.vy[index] = next[3];
+    return this;
+  }
+
+  #integrate(top, left, vx, vy, mass, dt) {
+    const next = this.#next;
+    next[2] = vx + ((this.#wind - this.#drag * vx) / mass) * dt;
+    next[3] = vy + (this.#gravity - (this.#drag * vy) / mass) * dt;
+    next[0] = top + next[3] * dt;
+    next[1] = left + next[2] * dt;
+    if (this.#floor !== null && next[0] >= this.#floor) {
+      const bouncedVy = -next[3] * this.#bounce;
+      const resting =
+        this.#floorMode === "rest" ||
+        Math.abs(bouncedVy) < this.#gravity * 0.05;
+      next[0] = this.#floor;
+      next[2] *= this.#friction;
+      next[3] = resting ? 0 : bouncedVy;
+    }
+
+    return next;
+  }
+}
+
+class PhysicsParticle extends CanvasObject {
+  #targetObject;
+  #physics;
+  #ticker;
+  #velocity;
+  #mass;
+
+  /**
+   * @param {CanvasObject} targetObject
+   * @param {Physics} physics
+   * @param {Ticker} ticker
+   * @param {number[]} velocity
+   * @param {number} mass
+   */
+  constructor(targetObject, physics, ticker, velocity = [0, 0], mass = 1) {
+    super(...targetObject.position());
+    this.#targetObject = targetObject;
+    this.#physics = physics;
+    this.#ticker = ticker;
+    this.#velocity = velocity.map(Number);
+    this.#mass = Number(mass);
+  }
+
+  velocity() {
+    return this.#velocity;
+  }
+
+  mass() {
+    return this.#mass;
+  }
+
+  accelerate(vx, vy) {
+    this.#velocity = [vx, vy];
+    return this;
+  }
+
+  move(newTopFn, newLeftFn) {
+    this.#targetObject.move(newTopFn, newLeftFn);
+    [this._top, this._left] = this.#targetObject.position();
+    return this;
+  }
+
+  render(canvas, dt = this.#ticker.deltaMs()) {
+    this.#physics.step(this, dt / 1000);
+    this.#targetObject.draw(canvas, dt);
+    return this;
+  }
+}
+
+class Palette {
+  #items = [];
+  #counts = [];
+  #indexes = new Map();
+  #freeIndexes = [];
+  #limit;
+
+  /**
+   * @param {number} limit
+   */
+  constructor(limit = 255) {
+    this.#limit = limit;
+  }
+
+  /**
+   * Takes a reference to the item; give it back with release() so the slot
+   * can be reused once nothing draws with it
+   * @param {*} item
+   * @returns {number} 1-based index, 0 stays free for "empty"
+   */
+  index(item) {
+    if (!this.#indexes.has(item)) {
+      if (!this.#freeIndexes.length && this.#items.length >= this.#limit) {
+        this.#counts[this.#items.length - 1]++;
+        return this.#items.length;
+      }
+
+      const index = this.#freeIndexes.pop() ?? this.#items.push(null);
+      this.#items[index - 1] = item;
+      this.#counts[index - 1] = 0;
+      this.#indexes.set(item, index);
+    }
+
+    const index = this.#indexes.get(item);
+    this.#counts[index - 1]++;
+    return index;
+  }
+
+  /**
+   * @param {number} index
+   */
+  release(index) {
+    if (!index || --this.#counts[index - 1] > 0) {
+      return this;
+    }
+
+    this.#indexes.delete(this.#items[index - 1]);
+    this.#items[index - 1] = null;
+    this.#freeIndexes.push(index);
+    return this;
+  }
+
+  clear() {
+    this.#items = [];
+    this.#counts = [];
+    this.#indexes.clear();
+    this.#freeIndexes = [];
+    return this;
+  }
+
+  item(index) {
+    return this.#items[index - 1];
+  }
+
+  /**
+   * @returns {number} slots in use or free, released slots keep their place
+   */
+  size() {
+    return this.#items.length;
+  }
+
+  /**
+   * @returns {number} items with a live reference
+   */
+  count() {
+    return this.#indexes.size;
+  }
+}
+
+class ParticleEmitter extends CanvasObject {
+  static #emitters = new WeakMap();
+  static #FREE = 0;
+  static #WAITING = 1;
+  static #LIVE = 2;
+
+  #scene;
+  #ticker;
+  #timeMs = 0;
+  #capacity;
+  #particles;
+  #freeIndexes;
+  #freeCount;
+  #liveCount = 0;
+  #colors = new Palette();
+  #physics = new Palette();
+
+  /**
+   * @param {Scene} scene
+   * @param {Ticker} ticker
+   * @param {number} capacity
+   */
+  constructor(scene, ticker, capacity = 20000) {
+    super(0, 0);
+    this.#scene = scene;
+    this.#ticker = ticker;
+    this.#capacity = capacity;
+    this.#particles = {
+      top: new Float32Array(capacity),
+      left: new Float32Array(capacity),
+      vx: new Float32Array(capacity),
+      vy: new Float32Array(capacity),
+      mass: new Float32Array(capacity),
+      radius: new Float32Array(capacity),
+      spawnAt: new Float64Array(capacity),
+      dieAt: new Float64Array(capacity),
+      color: new Uint8Array(capacity),
+      physics: new Uint8Array(capacity),
+      state: new Uint8Array(capacity),
+    };
+    this.#freeIndexes = new Int32Array(capacity);
+    this.#freeCount = capacity;
+    for (let i = 0; i < capacity; i++) {
+      this.#freeIndexes[i] = capacity - 1 - i;
+    }
+  }
+
+  /**
+   * One shared emitter per scene; it sits in the scene only while it has
+   * particles, so an idle scene can stay empty
+   * @param {Scene} scene
+   * @param {Ticker} ticker
+   * @param {number} capacity
+   * @returns {ParticleEmitter}
+   */
+  static of(scene, ticker, capacity = 20000) {
+    if (!ParticleEmitter.#emitters.has(scene)) {
+      ParticleEmitter.#emitters.set(
+        scene,
+        new ParticleEmitter(scene, ticker, capacity)
+      );
+    }
+
+    return ParticleEmitter.#emitters.get(scene);
+  }
+
+  capacity() {
+    return this.#capacity;
+  }
+
+  liveCount() {
+    return this.#liveCount;
+  }
+
+  /**
+   * @param {number} top
+   * @param {number} left
+   * @param {number} radius
+   * @param {string} color
+   * @param {number[]} velocity
+   * @param {number} mass
+   * @param {Physics} physics
+   * @param {number} delayMs
+   * @param {number} lifeMs
+   * @returns {boolean} false when the pool is exhausted
+   */
+  emit(top, left, radius, color, velocity, mass, physics, delayMs, lifeMs) {
+    if (!this.#freeCount) {
+      return false;
+    }
+
+    const index = this.#freeIndexes[--this.#freeCount];
+    const particles = this.#particles;
+    const now = this.#timeMs;
+    particles.top[index] = top;
+    particles.left[index] = left;
+    particles.vx[index] = velocity[0];
+    particles.vy[index] = velocity[1];
+    particles.mass[index] = mass;
+    particles.radius[index] = radius;
+    particles.spawnAt[index] = now + delayMs;
+    particles.dieAt[index] = now + delayMs + lifeMs;
+    particles.color[index] = this.#colors.index(color);
+    particles.physics[index] = this.#physics.index(physics);
+    particles.state[index] = ParticleEmitter.#WAITING;
+    if (!this.#liveCount++) {
+      this.#scene.addObject(this);
+    }
+    return true;
+  }
+
+  clear() {
+    this.#particles.state.fill(ParticleEmitter.#FREE);
+    this.#freeCount = this.#capacity;
+    for (let i = 0; i < this.#capacity; i++) {
+      this.#freeIndexes[i] = this.#capacity - 1 - i;
+    }
+    this.#liveCount = 0;
+    this.#colors.clear();
+    this.#physics.clear();
+    this.#scene.removeObject(this);
+    return this;
+  }
+
+  render(canvas, dt = this.#ticker.deltaMs()) {
+    if (!this.#liveCount) {
+      this.#scene.removeObject(this);
+      return this;
+    }
+
+    const particles = this.#particles;
+    this.#timeMs += dt;
+    const now = this.#timeMs;
+    const stepSeconds = dt / 1000;
+    const paths = new Range(1, this.#colors.size())
+      .array()
+      .map(() => environment().createPath());
+    for (let i = 0; i < this.#capacity; i++) {
+      const state = particles.state[i];
+      if (state === ParticleEmitter.#FREE || now < particles.spawnAt[i]) {
+        continue;
+      }
+
+      if (now >= particles.dieAt[i]) {
+        particles.state[i] = ParticleEmitter.#FREE;
+        this.#freeIndexes[this.#freeCount++] = i;
+        this.#liveCount--;
+        this.#colors.release(particles.color[i]);
+        this.#physics.release(particles.physics[i]);
+        continue;
+      }
+
+      if (state === ParticleEmitter.#LIVE) {
+        this.#physics
+          .item(particles.physics[i])
+          .stepAt(particles, i, stepSeconds);
+      }
+      particles.state[i] = ParticleEmitter.#LIVE;
+      const radius = particles.radius[i];
+      paths[particles.color[i] - 1].rect(
+        particles.left[i] - radius,
+        particles.top[i] - radius,
+        radius * 2,
+        radius * 2
+      );
+    }
+
+    const ctx = canvas.context();
+    paths.forEach((path, index) => {
+      const color = this.#colors.item(index + 1);
+      if (color !== null) {
+        ctx.fillStyle = color;
+        ctx.fill(path);
+      }
+    });
+
+    return this;
+  }
+}
+
+class FallingSand extends CanvasObject {
+  #cellSize;
+  #columns;
+  #rows;
+  #cells;
+  #palette = new Palette();
+  #grainsCount = 0;
+  #pouring = [];
+  #maxGrains;
+  #pileTopRow;
+  #fallSpeed;
+  #scanLeft = true;
+  #random;
+
+  /**
+   * @param {Canvas} canvas
+   * @param {number} cellSize
+   * @param {number} pileHeight
+   * @param {number} maxGrains
+   * @param {number} fallSpeed
+   * @param {function(): number} random
+   */
+  constructor(
+    canvas,
+    cellSize = 2,
+    pileHeight = 40,
+    maxGrains = 8000,
+    fallSpeed = 2,
+    random = randomSource()
+  ) {
+    super(0, 0);
+    this.#cellSize = cellSize;
+    this.#columns = Math.ceil(canvas.width() / cellSize);
+    this.#rows = Math.ceil(canvas.height() / cellSize);
+    this.#cells = new Uint8Array(this.#columns * this.#rows);
+    this.#maxGrains = maxGrains;
+    this.#pileTopRow = Math.max(
+      0,
+      this.#rows - Math.ceil(pileHeight / cellSize)
+    );
+    this.#fallSpeed = fallSpeed;
+    this.#random = random;
+  }
+
+  grainsCount() {
+    return this.#grainsCount;
+  }
+
+  /**
+   * @param {number} top
+   * @param {number} left
+   * @param {string} color
+   */
+  addGrain(top, left, color) {
+    const index = this.#cellIndex(top, left);
+    if (
+      this.#grainsCount >= this.#maxGrains ||
+      index === null ||
+      this.#cells[index]
+    ) {
+      return false;
+    }
+
+    this.#cells[index] = this.#palette.index(color);
+    this.#grainsCount++;
+    return true;
+  }
+
+  /**
+   * Grains that land on a taken cell wait and drop in on later steps, as the
+   * ones below fall away
+   * @param {number} top
+   * @param {number} left
+   * @param {number} width
+   * @param {number} count
+   * @param {string[]} colors
+   */
+  pour(top, left, width, count, colors) {
+    const room = Math.max(
+      0,
+      this.#maxGrains - this.#grainsCount - this.#pouring.length
+    );
+    new Range(1, Math.min(count, room)).array().forEach(() => {
+      this.#pouring.push({
+        top,
+        left: Number(new RandomNumber(left, width, this.#random)),
+        color: randomPicking(this.#random, colors),
+      });
+    });
+    this.#pouringDropping();
+    return this;
+  }
+
+  pouringCount() {
+    return this.#pouring.length;
+  }
+
+  sweep() {
+    this.#pouring = [];
+    this.#cells.fill(0);
+    this.#palette.clear();
+    this.#grainsCount = 0;
+    return this;
+  }
+
+  step() {
+    const columns = this.#columns;
+    const cells = this.#cells;
+    this.#scanLeft = !this.#scanLeft;
+    for (let row = this.#rows - 1; row >= 0; row--) {
+      for (let i = 0; i < columns; i++) {
+        const column = this.#scanLeft ? i : columns - 1 - i;
+        const index = row * columns + column;
+        if (!cells[index]) {
+          continue;
+        }
+
+        const target = this.#fallTarget(row, column);
+        if (target !== null) {
+          cells[target] = cells[index];
+          cells[index] = 0;
+        } else if (row < this.#pileTopRow) {
+          this.#palette.release(cells[index]);
+          cells[index] = 0;
+          this.#grainsCount--;
+        }
+      }
+    }
+    this.#pouringDropping();
+    return this;
+  }
+
+  render(canvas) {
+    new Range(1, this.#fallSpeed).array().forEach(() => this.step());
+
+    const ctx = canvas.context();
+    const paths = new Range(1, this.#palette.size())
+      .array()
+      .map(() => environment().createPath());
+    for (let index = 0; index < this.#cells.length; index++) {
+      if (this.#cells[index]) {
+        paths[this.#cells[index] - 1].rect(
+          (index % this.#columns) * this.#cellSize,
+          Math.floor(index / this.#columns) * this.#cellSize,
+          this.#cellSize,
+          this.#cellSize
+        );
+      }
+    }
+    paths.forEach((path, index) => {
+      const color = this.#palette.item(index + 1);
+      if (color !== null) {
+        ctx.fillStyle = color;
+        ctx.fill(path);
+      }
+    });
+    return this;
+  }
+
+  #cellIndex(top, left) {
+    const column = Math.floor(left / this.#cellSize);
+    const row = Math.floor(top / this.#cellSize);
+    if (column < 0 || column >= this.#columns || row < 0 || row >= this.#rows) {
+      return null;
+    }
+
+    return row * this.#columns + column;
+  }
+
+  #pouringDropping() {
+    this.#pouring = this.#pouring.filter(
+      (grain) =>
+        this.#cellIndex(grain.top, grain.left) !== null &&
+        this.#grainsCount < this.#maxGrains &&
+        !this.addGrain(grain.top, grain.left, grain.color)
+    );
+  }
+
+  #fallTarget(row, column) {
+    if (row + 1 >= this.#rows) {
+      return null;
+    }
+
+    const below = (row + 1) * this.#columns;
+    if (!this.#cells[below + column]) {
+      return below + column;
+    }
+
+    const side = this.#random() < 0.5 ? -1 : 1;
+    for (const direction of [side, -side]) {
+      const sideColumn = column + direction;
+      if (
+        sideColumn >= 0 &&
+        sideColumn < this.#columns &&
+        !this.#cells[below + sideColumn]
+      ) {
+        return below + sideColumn;
+      }
+    }
+
+    return null;
+  }
+}
+
+class Range {
+  /**
+   * @type {number}
+   */
+  #from;
+  /**
+   * @type {number}
+   */
+  #to;
+
+  /**
+   *
+   * @param {number} from
+   * @param {number} to
+   */
+  constructor(from, to) {
+    this.#from = from;
+    this.#to = to;
+  }
+
+  array() {
+    const result = [];
+    for (let i = this.#from; i <= this.#to; i++) {
+      result.push(i);
+    }
+
+    return result;
+  }
+}
+
+class SandStream extends CanvasObject {
+  /**
+   * @type {number}
+   */
+  #size = 1.5;
+  /**
+   * @type {number}
+   */
+  #width = 50;
+  /**
+   * @type {Ticker}
+   */
+  #ticker;
+  /**
+   * @type {Scene}
+   */
+  #scene;
+  /**
+   * @type {number}
+   */
+  #removeDelay = 500;
+  /**
+   * @type {string[]}
+   */
+  #colors = ["#222"];
+  /**
+   * @type {Physics}
+   */
+  #physics;
+  /**
+   * @type {number[]}
+   */
+  #velocity;
+  /**
+   * @type {function(): number}
+   */
+  #random;
+
+  /**
+   * @param {string[]} colors
+   * @param {number} width
+   * @param {Ticker} ticker
+   * @param {Scene} scene
+   * @param {number} top
+   * @param {number} left
+   * @param {Physics} physics
+   * @param {number[]} velocity
+   * @param {function(): number} random
+   */
+  constructor(
+    colors,
+    width,
+    ticker,
+    scene,
+    top,
+    left,
+    physics = Physics.shared(),
+    velocity = [0, 0],
+    random = randomSource()
+  ) {
+    super(top, left);
+    this.#colors = colors;
+    this.#width = width;
+    this.#ticker = ticker;
+    this.#scene = scene;
+    this.#physics = physics;
+    this.#velocity = velocity;
+    this.#random = random;
+  }
+
+  scene() {
+    return this.#scene;
+  }
+
+  /**
+   * @param {number} parts
+   * @param {number} partsDelay
+   * @param {number} speedRange
+   */
+  render(parts, partsDelay, speedRange) {
+    const emitter = ParticleEmitter.of(this.#scene, this.#ticker);
+    const spread = speedRange * 10;
+    const [vx, vy] = this.#velocity.map(Number);
+    const top = Number(this._top);
+    const left = Number(this._left);
+    const count = Number(parts);
+    const random = this.#random;
+    for (let part = 0; part < count; part++) {
+      emitter.emit(
+        top,
+        left + random() * this.#width,
+        0.5 + random() * this.#size,
+        randomPicking(random, this.#colors),
+        [
+          vx * (0.1 + random() * 0.3) + (-1 + random() * 2) * spread,
+          vy * (0.1 + random() * 0.3) + (-1 + random() * 1.5) * spread,
+        ],
+        0.5 + random(),
+        this.#physics,
+        (part * partsDelay + random() * partsDelay) * 10,
+        this.#removeDelay * (1 + random())
+      );
+    }
+  }
+}
+
+class Sand extends CanvasObject {
+  /**
+   * @type {number}
+   */
+  #partsCount = 10;
+  /**
+   * @type {number}
+   */
+  #streamsCount = 1;
+  /**
+   * @type {SandStream}
+   */
+  #sandStream;
+
+  /**
+   * @param {SandStream} sandStream
+   * @param {number} partsCount
+   * @param {number} streamsCount
+   */
+  constructor(sandStream, partsCount, streamsCount) {
+    super(...sandStream.position());
+    this.#partsCount = partsCount;
+    this.#streamsCount = streamsCount;
+    this.#sandStream = sandStream;
+  }
+
+  render() {
+    const speed = 4;
+    const dist = 30;
+    const partsForStream = new RoundNumber(
+      new Division(this.#partsCount, this.#streamsCount)
+    );
+    new Range(1, this.#streamsCount).array().forEach(() => {
+      this.#sandStream.render(partsForStream, dist, speed);
+    });
+
+    this.#sandStream.scene().removeObject(this);
+
+    return this;
+  }
+}
+
+export {
+  Physics,
+  PhysicsParticle,
+  Palette,
+  ParticleEmitter,
+  FallingSand,
+  Range,
+  SandStream,
+  Sand,
+};
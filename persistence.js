@@ -0,0 +1,291 @@
+import { coverageCellClear, coveragePercent } from "./coverage.js";
+import { environment } from "./environment.js";
+import { scratchLayerClearing } from "./layers.js";
+
+const persistenceVersion = 1;
+
+// alpha is kept in 16 levels, enough for brush edges and much longer runs
+const persistenceMaskLevel = 17;
+
+// runs of [value, count] with LEB128 counts, as base64
+const persistenceRunLengthEncoding = (inValues) => {
+  let text = "";
+  for (let index = 0; index < inValues.length;) {
+    const value = inValues[index];
+    let count = 1;
+    while (inValues[index + count] === value) {
+      count++;
+    }
+
+    text += String.fromCharCode(value);
+    for (let rest = count; ; rest = Math.floor(rest / 128)) {
+      if (rest < 128) {
+        text += String.fromCharCode(rest);
+        break;
+      }
+      text += String.fromCharCode((rest % 128) + 128);
+    }
+    index += count;
+  }
+
+  return btoa(text);
+};
+
+const persistenceRunLengthDecoding = (inEncoded, inLength) => {
+  const text = atob(inEncoded);
+  const values = new Uint8Array(inLength);
+  let index = 0;
+  let offset = 0;
+  while (offset < text.length) {
+    const value = text.charCodeAt(offset++);
+    let count = 0;
+    for (let scale = 1; offset < text.length; scale *= 128) {
+      const byte = text.charCodeAt(offset++);
+      count += (byte % 128) * scale;
+      if (byte < 128) {
+        break;
+      }
+    }
+    if (index + count > inLength) {
+      return null;
+    }
+
+    values.fill(value, index, index + count);
+    index += count;
+  }
+
+  return index === inLength ? values : null;
+};
+
+const persistenceMaskSize = (inSize) => {
+  return { width: Math.ceil(inSize.width), height: Math.ceil(inSize.height) };
+};
+
+const persistenceMaskBuilding = (inLayer, inSize) => {
+  const { width, height } = persistenceMaskSize(inSize);
+  const maskElement = environment().createCanvas(width, height);
+  const maskCtx = maskElement.getContext("2d");
+  maskCtx.drawImage(inLayer.canvasCtx.canvas, 0, 0, width, height);
+  const pixels = maskCtx.getImageData(0, 0, width, height).data;
+  const levels = new Uint8Array(width * height);
+  for (let i = 0; i < levels.length; i++) {
+    levels[i] = Math.round(pixels[i * 4 + 3] / persistenceMaskLevel);
+  }
+
+  return persistenceRunLengthEncoding(levels);
+};
+
+const persistenceMaskApplying = (inLayer, inSize, inLevels) => {
+  const { width, height } = persistenceMaskSize(inSize);
+  const maskElement = environment().createCanvas(width, height);
+  const maskCtx = maskElement.getContext("2d");
+  const maskPixels = maskCtx.createImageData(width, height);
+  inLevels.forEach((level, index) => {
+    maskPixels.data[index * 4 + 3] = level * persistenceMaskLevel;
+  });
+  maskCtx.putImageData(maskPixels, 0, 0);
+
+  const canvasElement = inLayer.canvasCtx.canvas;
+  inLayer.canvasCtx.save();
+  inLayer.canvasCtx.setTransform(1, 0, 0, 1, 0, 0);
+  inLayer.canvasCtx.globalCompositeOperation = "destination-in";
+  inLayer.canvasCtx.drawImage(
+    maskElement,
+    0,
+    0,
+    canvasElement.width,
+    canvasElement.height
+  );
+  inLayer.canvasCtx.restore();
+};
+
+const persistenceLayerBuilding = (inLayer, inSize) => {
+  // a finishing layer is as good as revealed
+  if (inLayer.revealed || inLayer.finishing) {
+    return { revealed: true };
+  }
+
+  return {
+    revealed: false,
+    cells: persistenceRunLengthEncoding(inLayer.coverage.cells),
+    mask: persistenceMaskBuilding(inLayer, inSize),
+  };
+};
+
+const persistenceSnapshotBuilding = (inState) => {
+  const coverage = inState.layers.at(-1).coverage;
+  return {
+    version: persistenceVersion,
+    width: inState.size.width,
+    height: inState.size.height,
+    zonesRevealed: inState.zonesRevealed,
+    zones: coverage.zones
+      .filter((zone) => zone.revealed)
+      .map((zone) => zone.name),
+    layers: inState.layers.map((layer) =>
+      persistenceLayerBuilding(layer, inState.size)
+    ),
+  };
+};
+
+const persistenceLayerDecoding = (inLayer, inSavedLayer, inSize) => {
+  if (inSavedLayer.revealed) {
+    return { revealed: true };
+  }
+
+  const { width, height } = persistenceMaskSize(inSize);
+  const cells = persistenceRunLengthDecoding(
+    inSavedLayer.cells,
+    inLayer.coverage.cells.length
+  );
+  const mask = persistenceRunLengthDecoding(inSavedLayer.mask, width * height);
+  return cells && mask ? { revealed: false, cells, mask } : null;
+};
+
+const persistenceSnapshotDecoding = (inState, inSnapshot) => {
+  if (
+    inSnapshot?.version !== persistenceVersion ||
+    inSnapshot.width !== inState.size.width ||
+    inSnapshot.height !== inState.size.height ||
+    inSnapshot.layers?.length !== inState.layers.length
+  ) {
+    return null;
+  }
+
+  try {
+    const layers = inState.layers.map((layer, index) =>
+      persistenceLayerDecoding(layer, inSnapshot.layers[index], inState.size)
+    );
+    return layers.every(Boolean) ? layers : null;
+  } catch {
+    return null;
+  }
+};
+
+// covers must be drawn; snapshots of another size or layer count are ignored
+const persistenceSnapshotRestoring = (inState, inSnapshot) => {
+  const layers = persistenceSnapshotDecoding(inState, inSnapshot);
+  if (!layers) {
+    return false;
+  }
+
+  inState.layers.forEach((layer, index) => {
+    const saved = layers[index];
+    if (saved.revealed) {
+      scratchLayerClearing(layer, inState);
+      return;
+    }
+
+    saved.cells.forEach((cleared, cellIndex) => {
+      if (cleared) {
+        coverageCellClear(layer.coverage, cellIndex);
+      }
+    });
+    persistenceMaskApplying(layer, inState.size, saved.mask);
+  });
+
+  inState.layers.forEach((layer) => {
+    layer.lastClearPercent = coveragePercent(layer.coverage);
+  });
+  inState.layers.at(-1).coverage.zones.forEach((zone) => {
+    zone.changed = false;
+    zone.revealed =
+      zone.revealed || (inSnapshot.zones ?? []).includes(zone.name);
+  });
+  inState.zonesRevealed = inState.zonesRevealed || inSnapshot.zonesRevealed;
+  return true;
+};
+
+const persistenceCopying = (inValue) => {
+  return inValue === undefined ? null : JSON.parse(JSON.stringify(inValue));
+};
+
+const persistenceMemoryStore = (inEntries = new Map()) => {
+  return {
+    load: (inId) => Promise.resolve(persistenceCopying(inEntries.get(inId))),
+    save: (inId, inSnapshot) => {
+      inEntries.set(inId, persistenceCopying(inSnapshot));
+      return Promise.resolve();
+    },
+    remove: (inId) => {
+      inEntries.delete(inId);
+      return Promise.resolve();
+    },
+  };
+};
+
+const persistenceLocalStorageStore = (
+  inStorage = globalThis.localStorage,
+  inPrefix = "scratch-card:"
+) => {
+  return {
+    load: (inId) =>
+      Promise.resolve().then(() => {
+        const value = inStorage.getItem(inPrefix + inId);
+        return value === null ? null : JSON.parse(value);
+      }),
+    save: (inId, inSnapshot) =>
+      Promise.resolve().then(() =>
+        inStorage.setItem(inPrefix + inId, JSON.stringify(inSnapshot))
+      ),
+    remove: (inId) =>
+      Promise.resolve().then(() => inStorage.removeItem(inPrefix + inId)),
+  };
+};
+
+const persistenceIndexedDbStore = (
+  inDatabaseName = "scratch-card",
+  inStoreName = "cards",
+  inIndexedDb = globalThis.indexedDB
+) => {
+  let database = null;
+  const requestWaiting = (inRequest) =>
+    new Promise((resolve, reject) => {
+      inRequest.onsuccess = () => resolve(inRequest.result);
+      inRequest.onerror = () => reject(inRequest.error);
+    });
+  const databaseOpening = () => {
+    if (!database) {
+      const request = inIndexedDb.open(inDatabaseName, 1);
+      request.onupgradeneeded = () =>
+        request.result.createObjectStore(inStoreName);
+      database = requestWaiting(request);
+    }
+
+    return database;
+  };
+  const storeRequesting = (inMode, inRequestFn) =>
+    databaseOpening().then((opened) =>
+      requestWaiting(
+        inRequestFn(
+          opened.transaction(inStoreName, inMode).objectStore(inStoreName)
+        )
+      )
+    );
+
+  return {
+    load: (inId) =>
+      storeRequesting("readonly", (store) => store.get(inId)).then(
+        (snapshot) => snapshot ?? null
+      ),
+    save: (inId, inSnapshot) =>
+      storeRequesting("readwrite", (store) => store.put(inSnapshot, inId)).then(
+        () => undefined
+      ),
+    remove: (inId) =>
+      storeRequesting("readwrite", (store) => store.delete(inId)).then(
+        () => undefined
+      ),
+  };
+};
+
+export {
+  persistenceVersion,
+  persistenceRunLengthEncoding,
+  persistenceRunLengthDecoding,
+  persistenceSnapshotBuilding,
+  persistenceSnapshotRestoring,
+  persistenceMemoryStore,
+  persistenceLocalStorageStore,
+  persistenceIndexedDbStore,
+};
@@ -0,0 +1,14 @@
+const pointerPosition = (inEvent, inElement, inSize = inElement) => {
+  const rect = inElement.getBoundingClientRect();
+
+  return {
+    x: rect.width
+      ? ((inEvent.clientX - rect.left) * inSize.width) / rect.width
+      : 0,
+    y: rect.height
+      ? ((inEvent.clientY - rect.top) * inSize.height) / rect.height
+      : 0,
+  };
+};
+
+export { pointerPosition };
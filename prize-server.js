@@ -0,0 +1,235 @@
+// Mock prize provider for development and tests: `npm run prize-server` serves
+// the API under /api next to the demo pages. Node only, not part of index.js.
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+import { readFile } from "node:fs/promises";
+import { createServer } from "node:http";
+import { dirname, extname, join, normalize, sep } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const prizeServerPrizes = [
+  { text: "Вы выиграли 100 ₽!", value: 100 },
+  { text: "Скидка 10%", value: 10 },
+  { text: "Попробуйте ещё раз", value: 0 },
+];
+
+const prizeServerTypes = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+};
+
+const prizeServerSigning = (inSecret, inPayload) => {
+  return createHmac("sha256", inSecret).update(inPayload).digest("base64url");
+};
+
+const prizeTokenBuilding = (inSecret, inClaims) => {
+  const payload = Buffer.from(JSON.stringify(inClaims)).toString("base64url");
+  return `${payload}.${prizeServerSigning(inSecret, payload)}`;
+};
+
+const prizeTokenReading = (inSecret, inToken) => {
+  const [payload, signature] = String(inToken).split(".");
+  const expected = Buffer.from(prizeServerSigning(inSecret, payload ?? ""));
+  const actual = Buffer.from(signature ?? "");
+  if (
+    !payload ||
+    actual.length !== expected.length ||
+    !timingSafeEqual(actual, expected)
+  ) {
+    return null;
+  }
+
+  return JSON.parse(Buffer.from(payload, "base64url").toString());
+};
+
+// the same card always wins the same prize
+const prizeServerPicking = (inPrizes, inCardId) => {
+  let hash = 0;
+  for (const char of inCardId) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  }
+  return inPrizes[hash % inPrizes.length];
+};
+
+const prizeServerSending = (inResponse, inStatus, inBody) => {
+  inResponse.writeHead(inStatus, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Cache-Control": "no-store",
+  });
+  inResponse.end(JSON.stringify(inBody));
+};
+
+const prizeServerBodyReading = (inRequest) => {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    inRequest.setEncoding("utf8");
+    inRequest.on("data", (chunk) => {
+      body += chunk;
+    });
+    inRequest.on("end", () => resolve(body));
+    inRequest.on("error", reject);
+  });
+};
+
+// malformed escapes answer 400 instead of throwing out of the handler
+const prizeServerDecoding = (inText) => {
+  try {
+    return decodeURIComponent(inText);
+  } catch {
+    return null;
+  }
+};
+
+const prizeServerFileSending = (inRoot, inPathname, inResponse) => {
+  const decoded = prizeServerDecoding(
+    inPathname === "/" ? "/index.html" : inPathname
+  );
+  if (decoded === null) {
+    prizeServerSending(inResponse, 400, { error: "bad path" });
+    return Promise.resolve();
+  }
+
+  // dotfiles such as .git stay private, and so does anything above the root
+  const path = normalize(join(inRoot, decoded));
+  if (
+    !path.startsWith(inRoot + sep) ||
+    decoded.split(/[/\\]/).some((segment) => segment.startsWith("."))
+  ) {
+    prizeServerSending(inResponse, 403, { error: "forbidden" });
+    return Promise.resolve();
+  }
+
+  return readFile(path).then(
+    (content) => {
+      inResponse.writeHead(200, {
+        "Content-Type":
+          prizeServerTypes[extname(path)] ?? "application/octet-stream",
+      });
+      inResponse.end(content);
+    },
+    () => prizeServerSending(inResponse, 404, { error: "not found" })
+  );
+};
+
+const prizeServerHandling = (inOptions, inRequest, inResponse) => {
+  const { pathname } = new URL(inRequest.url, "http://localhost");
+  const prizeMatch = pathname.match(/^\/api\/prizes\/([^/]+)$/);
+
+  if (inRequest.method === "OPTIONS") {
+    prizeServerSending(inResponse, 200, {});
+    return Promise.resolve();
+  }
+
+  if (prizeMatch && inRequest.method === "GET") {
+    const cardId = prizeServerDecoding(prizeMatch[1]);
+    if (cardId === null) {
+      prizeServerSending(inResponse, 400, { error: "bad card id" });
+      return Promise.resolve();
+    }
+
+    const prize = prizeServerPicking(inOptions.prizes, cardId);
+    prizeServerSending(inResponse, 200, {
+      ...prize,
+      token: prizeTokenBuilding(inOptions.secret, {
+        cardId,
+        value: prize.value,
+        issuedAt: Date.now(),
+      }),
+    });
+    return Promise.resolve();
+  }
+
+  if (pathname === "/api/reveals" && inRequest.method === "POST") {
+    return prizeServerBodyReading(inRequest).then((body) => {
+      let report = null;
+      try {
+        report = JSON.parse(body);
+      } catch {
+        prizeServerSending(inResponse, 400, { error: "bad json" });
+        return;
+      }
+
+      if (
+        report === null ||
+        typeof report !== "object" ||
+        typeof report.token !== "string"
+      ) {
+        prizeServerSending(inResponse, 400, { error: "bad report" });
+        return;
+      }
+
+      const claims = prizeTokenReading(inOptions.secret, report.token);
+      if (!claims) {
+        prizeServerSending(inResponse, 400, { error: "bad token" });
+        return;
+      }
+
+      // reports are idempotent per card, a reload may send one again
+      const first = !inOptions.reveals.has(claims.cardId);
+      if (first) {
+        inOptions.reveals.set(claims.cardId, {
+          ...claims,
+          percent: report.percent,
+        });
+      }
+      prizeServerSending(inResponse, 200, {
+        ok: true,
+        first,
+        cardId: claims.cardId,
+        value: claims.value,
+      });
+    });
+  }
+
+  return inRequest.method === "GET"
+    ? prizeServerFileSending(inOptions.root, pathname, inResponse)
+    : Promise.resolve(
+        prizeServerSending(inResponse, 404, { error: "not found" })
+      );
+};
+
+/**
+ * @param {object} inOptions port (0 picks a free one), prizes, secret, root
+ * @returns {Promise<object>} url, reveals by card id and close()
+ */
+const prizeServerStarting = (inOptions = {}) => {
+  const options = {
+    prizes: prizeServerPrizes,
+    secret: randomBytes(32),
+    root: dirname(fileURLToPath(import.meta.url)),
+    ...inOptions,
+    reveals: new Map(),
+  };
+  const server = createServer((request, response) =>
+    prizeServerHandling(options, request, response).catch(() =>
+      prizeServerSending(response, 500, { error: "server error" })
+    )
+  );
+
+  return new Promise((resolve) => {
+    server.listen(inOptions.port ?? 8787, "127.0.0.1", () =>
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        reveals: options.reveals,
+        close: () =>
+          new Promise((resolveClose) => server.close(() => resolveClose())),
+      })
+    );
+  });
+};
+
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  prizeServerStarting({ port: Number(process.env.PORT ?? 8787) }).then(
+    (started) => console.log(`prize server on ${started.url}`)
+  );
+}
+
+export { prizeServerPrizes, prizeServerStarting };
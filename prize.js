@@ -0,0 +1,127 @@
+import { canvasCtxBuilding, canvasTransformApplying } from "./canvas-size.js";
+import { environment } from "./environment.js";
+
+const prizeResponseReading = (inResponse) => {
+  if (!inResponse.ok) {
+    throw Error(`prize request failed with ${inResponse.status}`);
+  }
+
+  return inResponse.json();
+};
+
+const prizeHttpProvider = (inEndpoint, inRequestOptions = {}) => {
+  const endpoint = inEndpoint.replace(/\/$/, "");
+  return {
+    fetchPrize: (inCardId) =>
+      environment()
+        .fetch(`${endpoint}/prizes/${encodeURIComponent(inCardId)}`, {
+          ...inRequestOptions,
+          method: "GET",
+        })
+        .then(prizeResponseReading),
+    reportReveal: (inToken, inDetails = {}) =>
+      environment()
+        .fetch(`${endpoint}/reveals`, {
+          ...inRequestOptions,
+          method: "POST",
+          headers: {
+            ...inRequestOptions.headers,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ ...inDetails, token: inToken }),
+        })
+        .then(prizeResponseReading),
+  };
+};
+
+const prizeStateBuilding = (inPrizeOptions) => {
+  return {
+    options: inPrizeOptions,
+    canvasCtx: canvasCtxBuilding({}),
+    loading: null,
+    loaded: null,
+    shown: false,
+    reported: false,
+  };
+};
+
+const prizeLoading = (inPrize) => {
+  inPrize.loading ??= inPrize.options.provider
+    .fetchPrize(inPrize.options.id)
+    .then((descriptor) =>
+      Promise.all([
+        descriptor,
+        descriptor.image ? environment().loadImage(descriptor.image) : null,
+      ])
+    )
+    .then(([descriptor, image]) => {
+      inPrize.loaded = { descriptor, image };
+      return inPrize.loaded;
+    })
+    .catch((inError) => {
+      inPrize.options.errorHandler?.(inError);
+      return null;
+    });
+  return inPrize.loading;
+};
+
+const prizeImageFitting = (inImage, inSize) => {
+  const scale = Math.min(
+    inSize.width / inImage.width,
+    inSize.height / inImage.height
+  );
+  const width = inImage.width * scale;
+  const height = inImage.height * scale;
+  return {
+    left: (inSize.width - width) / 2,
+    top: (inSize.height - height) / 2,
+    width,
+    height,
+  };
+};
+
+const prizeDrawing = (inPrize, inSize) => {
+  const prizeCtx = inPrize.canvasCtx;
+  prizeCtx.save();
+  prizeCtx.setTransform(1, 0, 0, 1, 0, 0);
+  prizeCtx.clearRect(0, 0, prizeCtx.canvas.width, prizeCtx.canvas.height);
+  prizeCtx.restore();
+  if (!inPrize.shown || !inPrize.loaded) {
+    return;
+  }
+
+  const { descriptor, image } = inPrize.loaded;
+  prizeCtx.fillStyle = inPrize.options.background ?? "#fff";
+  prizeCtx.fillRect(0, 0, inSize.width, inSize.height);
+  if (image) {
+    const fit = prizeImageFitting(image, inSize);
+    prizeCtx.drawImage(image, fit.left, fit.top, fit.width, fit.height);
+  }
+  if (descriptor.text) {
+    prizeCtx.font = inPrize.options.font ?? "bold 32px sans-serif";
+    prizeCtx.fillStyle = inPrize.options.color ?? "#222";
+    prizeCtx.textAlign = "center";
+    prizeCtx.textBaseline = image ? "bottom" : "middle";
+    prizeCtx.fillText(
+      descriptor.text,
+      inSize.width / 2,
+      image ? inSize.height - 12 : inSize.height / 2
+    );
+  }
+};
+
+const prizeResizing = (inPrize, inCanvasElement, inSize) => {
+  inPrize.canvasCtx.canvas.width = inCanvasElement.width;
+  inPrize.canvasCtx.canvas.height = inCanvasElement.height;
+  canvasTransformApplying(inPrize.canvasCtx, inSize);
+  prizeDrawing(inPrize, inSize);
+};
+
+export {
+  prizeHttpProvider,
+  prizeStateBuilding,
+  prizeLoading,
+  prizeImageFitting,
+  prizeDrawing,
+  prizeResizing,
+};
@@ -0,0 +1,50 @@
+import { environment } from "./environment.js";
+
+const randomSeedHashing = (inSeed) => {
+  if (typeof inSeed === "number") {
+    return inSeed >>> 0;
+  }
+
+  let hash = 2166136261;
+  for (const char of String(inSeed)) {
+    hash = Math.imul(hash ^ char.codePointAt(0), 16777619);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: small, fast and good enough for brushes and particles
+const randomSeeded = (inSeed = 0) => {
+  let state = randomSeedHashing(inSeed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let mixed = Math.imul(state ^ (state >>> 15), state | 1);
+    mixed ^= mixed + Math.imul(mixed ^ (mixed >>> 7), mixed | 61);
+    return ((mixed ^ (mixed >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const randomSource = (inOptions = {}) => {
+  if (inOptions.random) {
+    return inOptions.random;
+  }
+
+  return inOptions.seed === undefined
+    ? () => environment().random()
+    : randomSeeded(inOptions.seed);
+};
+
+const randomSeedDrawing = (inRandom) => {
+  return Math.floor(inRandom() * 4294967296);
+};
+
+const randomPicking = (inRandom, inItems) => {
+  return inItems[Math.floor(inRandom() * inItems.length)];
+};
+
+export {
+  randomSeedHashing,
+  randomSeeded,
+  randomSource,
+  randomSeedDrawing,
+  randomPicking,
+};
@@ -0,0 +1,517 @@
+import { Vec2 } from "./expressions.js";
+
+class CanvasObject {
+  _top;
+  _left;
+  _parent = null;
+  #rotation = 0;
+  #scale = [1, 1];
+  #opacity = 1;
+  #blend = null;
+  #visible = true;
+  #zIndex = 0;
+  #bindings = new Map();
+
+  constructor(top, left) {
+    this._top = top;
+    this._left = left;
+  }
+
+  render() {
+    console.log("nothing to render");
+  }
+
+  /**
+   * Renders with the node's opacity, blend mode, rotation and scale applied
+   * around its position; hidden nodes are neither drawn nor updated
+   * @param {Canvas} canvas
+   * @param {number} dt
+   */
+  draw(canvas, dt) {
+    if (!this.#visible) {
+      return this;
+    }
+
+    this.#bindings.forEach((expression, name) =>
+      NodeProperty.set(
+        this,
+        name,
+        expression instanceof Vec2 ? expression : Number(expression)
+      )
+    );
+    const ctx = canvas.context();
+    ctx.save();
+    ctx.globalAlpha *= this.#opacity;
+    if (this.#blend) {
+      ctx.globalCompositeOperation = this.#blend;
+    }
+    if (this.#rotation || this.#scale[0] !== 1 || this.#scale[1] !== 1) {
+      ctx.translate(this._left, this._top);
+      ctx.rotate((this.#rotation * Math.PI) / 180);
+      ctx.scale(...this.#scale);
+      ctx.translate(-this._left, -this._top);
+    }
+    this.render(canvas, dt);
+    ctx.restore();
+    return this;
+  }
+
+  position() {
+    return [this._top, this._left];
+  }
+
+  move(newTopFn, newLeftFn) {
+    this._top = newTopFn(this._top, this._left);
+    this._left = newLeftFn(this._left, this._top);
+    return this;
+  }
+
+  parent() {
+    return this._parent;
+  }
+
+  /**
+   * @param {number} top
+   * @param {number} left
+   * @returns {boolean} whether the point, in the node's own coordinates, is
+   * inside its shape; plain nodes are not hittable
+   */
+  contains() {
+    return false;
+  }
+
+  /**
+   * @param {number} top
+   * @param {number} left
+   * @returns {CanvasObject|null} the topmost visible node under the point
+   */
+  hitTest(top, left) {
+    if (!this.#visible) {
+      return null;
+    }
+
+    return this.contains(...this._localPoint(top, left)) ? this : null;
+  }
+
+  /**
+   * Undoes the rotation and scale draw() applies around the position
+   */
+  _localPoint(top, left) {
+    const [originTop, originLeft] = this.position().map(Number);
+    const radians = (this.#rotation * Math.PI) / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const dx = left - originLeft;
+    const dy = top - originTop;
+    return [
+      originTop + (-dx * sin + dy * cos) / this.#scale[1],
+      originLeft + (dx * cos + dy * sin) / this.#scale[0],
+    ];
+  }
+
+  /**
+   * Re-reads the expression into the property before every draw
+   * @param {string} name e.g. "top", "position", "radius", "opacity"
+   * @param {PrimitiveAware|Vec2} expression
+   */
+  bind(name, expression) {
+    this.#bindings.set(name, expression);
+    return this;
+  }
+
+  unbind(name) {
+    this.#bindings.delete(name);
+    return this;
+  }
+
+  remove() {
+    this._parent?.removeObject(this);
+    return this;
+  }
+
+  rotation() {
+    return this.#rotation;
+  }
+
+  /**
+   * @param {number} degrees
+   */
+  setRotation(degrees) {
+    this.#rotation = degrees;
+    return this;
+  }
+
+  scale() {
+    return this.#scale;
+  }
+
+  /**
+   * @param {number} scaleX
+   * @param {number} scaleY
+   */
+  setScale(scaleX, scaleY = scaleX) {
+    this.#scale = [scaleX, scaleY];
+    return this;
+  }
+
+  opacity() {
+    return this.#opacity;
+  }
+
+  /**
+   * @param {number} opacity
+   */
+  setOpacity(opacity) {
+    this.#opacity = Math.min(1, Math.max(0, opacity));
+    return this;
+  }
+
+  blend() {
+    return this.#blend;
+  }
+
+  /**
+   * @param {GlobalCompositeOperation|null} blend null inherits the parent's
+   */
+  setBlend(blend) {
+    this.#blend = blend;
+    return this;
+  }
+
+  isVisible() {
+    return this.#visible;
+  }
+
+  show() {
+    this.#visible = true;
+    return this;
+  }
+
+  hide() {
+    this.#visible = false;
+    return this;
+  }
+
+  zIndex() {
+    return this.#zIndex;
+  }
+
+  /**
+   * @param {number} zIndex higher draws later, equal keeps insertion order
+   */
+  setZIndex(zIndex) {
+    this.#zIndex = zIndex;
+    return this;
+  }
+}
+
+class NodeProperty {
+  /**
+   * `top`, `left`, `position` (Vec2) and `scale` of a node, anything with a
+   * `name()`/`setName()` pair, or a plain field
+   * @param {CanvasObject|object} target
+   * @param {string} name
+   */
+  static get(target, name) {
+    if (target instanceof CanvasObject && (name === "top" || name === "left")) {
+      return Number(target.position()[name === "top" ? 0 : 1]);
+    }
+    if (target instanceof CanvasObject && name === "position") {
+      const [top, left] = target.position();
+      return new Vec2(Number(left), Number(top));
+    }
+    if (target instanceof CanvasObject && name === "scale") {
+      return target.scale()[0];
+    }
+    return typeof target[name] === "function" ? target[name]() : target[name];
+  }
+
+  static set(target, name, value) {
+    const setter = `set${name[0].toUpperCase()}${name.slice(1)}`;
+    if (target instanceof CanvasObject && name === "top") {
+      target.move(
+        () => value,
+        (left) => left
+      );
+    } else if (target instanceof CanvasObject && name === "left") {
+      target.move(
+        (top) => top,
+        () => value
+      );
+    } else if (target instanceof CanvasObject && name === "position") {
+      const [x, y] = value.value();
+      target.move(
+        () => y,
+        () => x
+      );
+    } else if (typeof target[setter] === "function") {
+      target[setter](value);
+    } else {
+      target[name] = value;
+    }
+  }
+}
+
+class Group extends CanvasObject {
+  #children = new Map();
+  #addedFns = new Set();
+
+  /**
+   * @param {number} top
+   * @param {number} left
+   */
+  constructor(top = 0, left = 0) {
+    super(top, left);
+  }
+
+  /**
+   * @param {CanvasObject} object
+   */
+  addObject(object) {
+    object.remove();
+    object._parent = this;
+    this.#children.set(object, object);
+    this.#objectAdded(object);
+    return this;
+  }
+
+  removeObject(object) {
+    if (this.#children.delete(object)) {
+      object._parent = null;
+    }
+    return this;
+  }
+
+  /**
+   * @returns {CanvasObject[]} in draw order
+   */
+  children() {
+    return [...this.#children.values()].sort((a, b) => a.zIndex() - b.zIndex());
+  }
+
+  /**
+   * @returns {boolean} true when there is nothing but empty groups inside
+   */
+  isEmpty() {
+    for (const child of this.#children.values()) {
+      if (!(child instanceof Group) || !child.isEmpty()) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * @param {Function} fn called for objects added here or to nested groups
+   * @returns {Function} unsubscribe
+   */
+  onObjectAdded(fn) {
+    this.#addedFns.add(fn);
+    return () => this.#addedFns.delete(fn);
+  }
+
+  hitTest(top, left) {
+    if (!this.isVisible()) {
+      return null;
+    }
+
+    const [localTop, localLeft] = this._localPoint(top, left);
+    const children = this.children();
+    for (let i = children.length - 1; i >= 0; i--) {
+      const hit = children[i].hitTest(
+        localTop - this._top,
+        localLeft - this._left
+      );
+      if (hit) {
+        return hit;
+      }
+    }
+    return null;
+  }
+
+  render(canvas, dt) {
+    canvas.context().translate(this._left, this._top);
+    this.children().forEach((child) => child.draw(canvas, dt));
+    return this;
+  }
+
+  #objectAdded(object) {
+    this.#addedFns.forEach((fn) => fn(object));
+    if (this._parent instanceof Group) {
+      this._parent.#objectAdded(object);
+    }
+  }
+}
+
+class Rect extends CanvasObject {
+  #width;
+  #height;
+  #color;
+
+  /**
+   * @param {string} color
+   * @param {number} width
+   * @param {number} height
+   * @param {number} top
+   * @param {number} left
+   */
+  constructor(width, height, top, left, color = "black") {
+    super(top, left);
+    this.#color = color;
+    this.#width = width;
+    this.#height = height;
+  }
+
+  width() {
+    return this.#width;
+  }
+
+  setWidth(width) {
+    this.#width = width;
+    return this;
+  }
+
+  height() {
+    return this.#height;
+  }
+
+  setHeight(height) {
+    this.#height = height;
+    return this;
+  }
+
+  color() {
+    return this.#color;
+  }
+
+  setColor(color) {
+    this.#color = color;
+    return this;
+  }
+
+  contains(top, left) {
+    return (
+      left >= this._left &&
+      left <= this._left + this.#width &&
+      top >= this._top &&
+      top <= this._top + this.#height
+    );
+  }
+
+  render(canvas) {
+    const ctx = canvas.context();
+    ctx.fillStyle = this.#color;
+    ctx.fillRect(this._left, this._top, this.#width, this.#height);
+  }
+}
+
+class Circle extends CanvasObject {
+  #radius;
+  #color;
+
+  constructor(radius, top, left, color = "black") {
+    super(top, left);
+    this.#radius = radius;
+    this.#color = color;
+  }
+
+  radius() {
+    return this.#radius;
+  }
+
+  setRadius(radius) {
+    this.#radius = radius;
+    return this;
+  }
+
+  color() {
+    return this.#color;
+  }
+
+  setColor(color) {
+    this.#color = color;
+    return this;
+  }
+
+  contains(top, left) {
+    return Math.hypot(left - this._left, top - this._top) <= this.#radius;
+  }
+
+  render(canvas) {
+    const ctx = canvas.context();
+    ctx.beginPath();
+    ctx.arc(this._left, this._top, this.#radius, 0, 2 * Math.PI, false);
+    ctx.fillStyle = this.#color;
+    ctx.fill();
+  }
+}
+
+class Scene {
+  #root = new Group();
+  #layers = new Map();
+  #canvas;
+
+  /**
+   * @param {Canvas} canvas
+   */
+  constructor(canvas) {
+    this.#canvas = canvas;
+  }
+
+  /**
+   * @param {CanvasObject} object
+   * @returns
+   */
+  addObject(object) {
+    this.#root.addObject(object);
+    return this;
+  }
+
+  removeObject(object) {
+    object.remove();
+  }
+
+  /**
+   * Named top-level group, created on first use
+   * @param {string} name
+   * @param {number} zIndex
+   * @returns {Group}
+   */
+  layer(name, zIndex = 0) {
+    if (!this.#layers.has(name)) {
+      const layer = new Group().setZIndex(zIndex);
+      this.#layers.set(name, layer);
+      this.#root.addObject(layer);
+    }
+
+    return this.#layers.get(name);
+  }
+
+  isEmpty() {
+    return this.#root.isEmpty();
+  }
+
+  hitTest(top, left) {
+    return this.#root.hitTest(top, left);
+  }
+
+  /**
+   * @param {Function} fn
+   * @returns {Function} unsubscribe
+   */
+  onObjectAdded(fn) {
+    return this.#root.onObjectAdded(fn);
+  }
+
+  /**
+   * @param {number} dt elapsed ms since the previous frame
+   */
+  render(dt = 1000 / 60) {
+    const ctx = this.#canvas.context();
+    ctx.clearRect(0, 0, this.#canvas.width(), this.#canvas.height());
+    this.#root.draw(this.#canvas, dt);
+    return this;
+  }
+}
+
+export { CanvasObject, NodeProperty, Group, Rect, Circle, Scene };
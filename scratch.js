@@ -0,0 +1,1141 @@
+import {
+  canvasBackingFitting,
+  canvasBackingSize,
+  canvasCtxBuilding,
+  canvasResizeWatching,
+  canvasTransformApplying,
+} from "./canvas-size.js";
+import { Canvas } from "./canvas.js";
+import {
+  brushMaskBuilding,
+  canvasFilledPixelsCount,
+  canvasFilledPixelsPercent,
+  coverageBuilding,
+  coverageCellClear,
+  coverageCellsScanning,
+  coverageFill,
+  coveragePercent,
+  coverageStamp,
+  coverageZoneAdding,
+  coverageZonePercent,
+} from "./coverage.js";
+import {
+  dustPaletteBuilding,
+  dustPaletteColors,
+  dustPaletteSampling,
+} from "./dust.js";
+import { environment } from "./environment.js";
+import { finishEffect, scratchLayerFinishing } from "./finish.js";
+import { truthy } from "./functions.js";
+import {
+  scratchActiveLayer,
+  scratchFrameRequest,
+  scratchLayerClearing,
+  scratchLayerCoverDrawing,
+  scratchLayerResizing,
+  scratchLayersBuilding,
+  scratchLayersCompositing,
+} from "./layers.js";
+import { Physics, Sand, SandStream } from "./particles.js";
+import {
+  persistenceSnapshotBuilding,
+  persistenceSnapshotRestoring,
+} from "./persistence.js";
+import { pointerPosition } from "./pointer.js";
+import {
+  prizeDrawing,
+  prizeLoading,
+  prizeResizing,
+  prizeStateBuilding,
+} from "./prize.js";
+import {
+  randomPicking,
+  randomSeedDrawing,
+  randomSeeded,
+  randomSource,
+} from "./random.js";
+import { Scene } from "./scene.js";
+import {
+  sessionBuilding,
+  sessionEventSample,
+  sessionParsing,
+  sessionRecorderBuilding,
+  sessionSampleRecording,
+} from "./session.js";
+import { strokeBuilding, strokeEnding, strokeSampleAdding } from "./stroke.js";
+import { Ticker } from "./ticker.js";
+
+const drawCanvasImage = (inCanvasCtx, inBuildImageFn, inDrawOptions = {}) => {
+  inBuildImageFn().then((image) => {
+    inCanvasCtx.drawImage(
+      image,
+      inDrawOptions.left ?? 0,
+      inDrawOptions.top ?? 0
+    );
+  });
+};
+
+const drawCanvasImageRotated = (
+  inCanvasCtx,
+  inBuildImageFn,
+  inDrawOptions = {}
+) => {
+  inBuildImageFn().then((image) => {
+    const degrees = inDrawOptions.degrees ?? 0;
+    const x = inDrawOptions.left;
+    const y = inDrawOptions.top;
+    const w = inDrawOptions.width;
+    const h = inDrawOptions.height;
+    inCanvasCtx.save();
+    inCanvasCtx.translate(x + w / 2, y + h / 2);
+    inCanvasCtx.rotate((degrees * Math.PI) / 180.0);
+    inCanvasCtx.translate(-x - w / 2, -y - h / 2);
+    inCanvasCtx.drawImage(image, x, y, w, h);
+    inCanvasCtx.restore();
+  });
+};
+
+const handleUserEvent = (inElement, inEventName, inHandlerFn) => {
+  inElement.addEventListener(inEventName, inHandlerFn);
+  return removeUserEvent.bind(null, inElement, inEventName, inHandlerFn);
+};
+
+const removeUserEvent = (inElement, inEventName, inHandlerFn) => {
+  inElement.removeEventListener(inEventName, inHandlerFn);
+};
+
+const scratchSampleBuilding = (inEvent, inOptions) => {
+  return {
+    pointerId: inEvent.pointerId,
+    ...pointerPosition(inEvent, inOptions.canvasElement, inOptions.state.size),
+    time: inEvent.timeStamp,
+    pressure: inEvent.pointerType === "pen" ? inEvent.pressure : null,
+  };
+};
+
+const scratchSamplePosition = (inSample, inOptions) => {
+  return {
+    x: inSample.x,
+    y: inSample.y,
+    time: inSample.time,
+    scale:
+      inOptions.pressureBrush && inSample.pressure !== null
+        ? Math.max(0.2, inSample.pressure * 2)
+        : 1,
+  };
+};
+
+const scratchSampleRecording = (inState, inKind, inSample) => {
+  truthy(inState.recorder, () =>
+    sessionSampleRecording(inState.recorder, inKind, inSample)
+  );
+};
+
+const scratchStopHandler = (inOptions, inEvent) => {
+  truthy(inOptions.state.strokes.has(inEvent.pointerId), () =>
+    scratchSampleStopping(inOptions, scratchSampleBuilding(inEvent, inOptions))
+  );
+};
+
+const scratchSampleStopping = (inOptions, inSample) => {
+  const inStroke = inOptions.state.strokes.get(inSample.pointerId);
+  truthy(inStroke, () => {
+    scratchSampleRecording(inOptions.state, "u", inSample);
+    inOptions.state.strokes.delete(inSample.pointerId);
+    scratchStrokeStopping(inOptions, inStroke);
+    // without a worker the tracked grid stays as the stamps left it, a full
+    // main-thread scan on every stroke end would cost more than it fixes
+    truthy(inOptions.state.coverageScanner.worker, () =>
+      scratchFrameRequest(inOptions.state, () =>
+        scratchCoverageSyncing(
+          inOptions,
+          scratchActiveLayer(inOptions.state.layers)
+        )
+      )
+    );
+  });
+};
+
+const scratchCompositing = (inCanvasCtx, inState) => {
+  scratchLayersCompositing(
+    inCanvasCtx,
+    inState.layers,
+    inState.prize?.canvasCtx.canvas
+  );
+};
+
+const scratchPrizeShowing = (inOptions) => {
+  const inPrize = inOptions.state.prize;
+  truthy(inPrize && !inPrize.shown, () => {
+    inPrize.shown = true;
+    prizeLoading(inPrize).then((inLoaded) =>
+      truthy(inLoaded && !inOptions.state.destroyed, () => {
+        prizeDrawing(inPrize, inOptions.state.size);
+        scratchCompositing(inOptions.canvasCtx, inOptions.state);
+      })
+    );
+  });
+};
+
+// the prize is drawn once enough of the bottom cover is gone to see it
+const scratchPrizeChecking = (inOptions) => {
+  const inPrize = inOptions.state.prize;
+  truthy(
+    inPrize &&
+      !inPrize.shown &&
+      coveragePercent(inOptions.state.layers.at(-1).coverage) >=
+        (inPrize.options.minPercent ?? 5),
+    () => scratchPrizeShowing(inOptions)
+  );
+};
+
+const scratchPrizeReporting = (inOptions, inPercent) => {
+  const inPrize = inOptions.state.prize;
+  truthy(inPrize && !inPrize.reported, () => {
+    inPrize.reported = true;
+    scratchPrizeShowing(inOptions);
+    prizeLoading(inPrize).then((inLoaded) =>
+      truthy(inLoaded, () =>
+        inPrize.options.provider
+          .reportReveal(inLoaded.descriptor.token, {
+            id: inPrize.options.id,
+            percent: inPercent,
+          })
+          .then((inResponse) =>
+            inPrize.options.revealedHandler?.(inLoaded.descriptor, inResponse)
+          )
+          .catch((inError) => inPrize.options.errorHandler?.(inError))
+      )
+    );
+  });
+};
+
+const scratchPercentReachedHandler = (inOptions, inLayer) => {
+  const inPercent = coveragePercent(inLayer.coverage);
+  scratchPrizeChecking(inOptions);
+  if (inLayer.reachPercent && inPercent >= inLayer.reachPercent) {
+    inLayer.reachPercentHandler?.(inPercent);
+    // a plain bottom cover is never worn, reaching its percent is the reveal
+    truthy(inLayer === inOptions.state.layers.at(-1), () =>
+      scratchPrizeReporting(inOptions, inPercent)
+    );
+    truthy(
+      !inLayer.revealed &&
+        !inLayer.finishing &&
+        (inLayer.finish || inLayer !== inOptions.state.layers.at(-1)),
+      () => scratchLayerWearing(inOptions, inLayer, inPercent, inLayer.finish)
+    );
+  }
+
+  return inPercent;
+};
+
+const scratchLayerWearing = (inOptions, inLayer, inPercent, inFinish) => {
+  const inWorn = () => {
+    scratchLayerClearing(inLayer, inOptions.state);
+    scratchCompositing(inOptions.canvasCtx, inOptions.state);
+    scratchZonesHandler(inOptions);
+    inOptions.layerRevealedHandler?.(inLayer.index, inPercent);
+    truthy(inLayer === inOptions.state.layers.at(-1), () =>
+      scratchPrizeReporting(inOptions, inPercent)
+    );
+    scratchPersistenceSaving(inOptions);
+  };
+  truthy(inLayer === inOptions.state.layers.at(-1), () =>
+    scratchPrizeShowing(inOptions)
+  );
+  if (!inFinish) {
+    inWorn();
+    return Promise.resolve(true);
+  }
+
+  const inFinishing = scratchLayerFinishing(
+    inLayer,
+    inOptions.state,
+    inFinish,
+    () => scratchCompositing(inOptions.canvasCtx, inOptions.state)
+  ).then((inFinished) => {
+    truthy(inFinished, inWorn);
+    return inFinished;
+  });
+  // saved as revealed right away, a reload must not bring the cover back
+  scratchPersistenceSaving(inOptions);
+  return inFinishing;
+};
+
+const scratchZonesCoverage = (inState) => {
+  return inState.layers.at(-1).coverage;
+};
+
+const scratchZonesHandler = (inOptions) => {
+  const inCoverage = scratchZonesCoverage(inOptions.state);
+  inCoverage.zones
+    .filter((zone) => zone.changed)
+    .forEach((zone) => {
+      const inZonePercent = coverageZonePercent(zone);
+      zone.changed = false;
+      inOptions.zoneProgressHandler?.(zone.name, inZonePercent);
+      if (!zone.revealed && inZonePercent >= zone.reachPercent) {
+        zone.revealed = true;
+        inOptions.zoneRevealedHandler?.(zone.name, inZonePercent);
+        scratchPersistenceSaving(inOptions);
+      }
+    });
+
+  const inRequiredZones = inCoverage.zones.filter((zone) => zone.required);
+  if (
+    !inOptions.state.zonesRevealed &&
+    inRequiredZones.length &&
+    inRequiredZones.every((zone) => zone.revealed)
+  ) {
+    inOptions.state.zonesRevealed = true;
+    inOptions.zonesRevealedHandler?.(inRequiredZones.map((zone) => zone.name));
+  }
+};
+
+const scratchDustColors = (inLayer, inStroke, inRandom) => {
+  return (
+    truthy(inLayer.dustSampling, () =>
+      dustPaletteColors(inStroke.dustPalette, {
+        ...inLayer.dustSampling,
+        random: inRandom,
+      })
+    ) ?? inLayer.dustColors
+  );
+};
+
+const scratchStampBounds = (inImage, inPosition) => {
+  const width = inImage.width * (inPosition.scale ?? 1);
+  const height = inImage.height * (inPosition.scale ?? 1);
+  return {
+    top: inPosition.y - height / 2,
+    left: inPosition.x - width / 2,
+    width,
+    height,
+  };
+};
+
+const scratchStamp = (inOptions, inLayer, inStroke, inImage, inPosition) => {
+  const stamp = {
+    ...scratchStampBounds(inImage, inPosition),
+    degrees: Math.floor(inOptions.state.random() * 359),
+  };
+  const { width, height } = stamp;
+  inLayer.canvasCtx.globalCompositeOperation = "destination-out";
+  drawCanvasImageRotated(
+    inLayer.canvasCtx,
+    () => Promise.resolve(inImage),
+    stamp
+  );
+  coverageStamp(inLayer.coverage, brushMaskBuilding(inImage), stamp);
+  inOptions.state.lastPosition = inPosition;
+
+  const inPercent = scratchPercentReachedHandler(inOptions, inLayer);
+  scratchZonesHandler(inOptions);
+  if (inLayer.lastClearPercent !== inPercent) {
+    const diffPercent = inPercent - inLayer.lastClearPercent;
+    inLayer.lastClearPercent = inPercent;
+    inOptions.dustHandler(diffPercent, { width, height }, inPosition, {
+      layer: inLayer.index,
+      colors: scratchDustColors(inLayer, inStroke, inOptions.state.random),
+      velocity: inPosition.velocity ?? { x: 0, y: 0 },
+      // one draw per stamp, particles drawing on frames never shift the card
+      random: randomSeeded(randomSeedDrawing(inOptions.state.random)),
+    });
+  }
+};
+
+const scratchStrokeStamps = (inOptions, inStroke, inStampsFn) => {
+  scratchFrameRequest(inOptions.state, () => {
+    const inLayer = scratchActiveLayer(inOptions.state.layers);
+    // picking and stamping in one step keeps the random draws in sample
+    // order however many samples share a frame, which replays rely on
+    inLayer.scratchImages.then((images) => {
+      if (inOptions.state.destroyed) {
+        return;
+      }
+
+      const image = randomPicking(inOptions.state.random, images);
+      const positions = inStampsFn(Math.min(image.width, image.height) / 4);
+      const inSampledLayer = scratchActiveLayer(inOptions.state.layers);
+      // the whole segment is sampled before any of it is erased
+      truthy(inSampledLayer.dustSampling && positions.length, () =>
+        dustPaletteSampling(
+          inStroke.dustPalette,
+          inSampledLayer.canvasCtx,
+          positions.map((position) => scratchStampBounds(image, position)),
+          inOptions.state.size
+        )
+      );
+
+      positions.forEach((position) =>
+        scratchStamp(
+          inOptions,
+          scratchActiveLayer(inOptions.state.layers),
+          inStroke,
+          image,
+          position
+        )
+      );
+      scratchCompositing(inOptions.canvasCtx, inOptions.state);
+      scratchPersistenceScheduling(inOptions);
+    });
+  });
+};
+
+const scratchMoveHandler = (inOptions, inEvent) => {
+  if (
+    !inOptions.state.strokes.has(inEvent.pointerId) ||
+    inOptions.state.paused
+  ) {
+    return;
+  }
+
+  inEvent.stopImmediatePropagation();
+  inEvent.preventDefault();
+  scratchSampleMoving(inOptions, scratchSampleBuilding(inEvent, inOptions));
+};
+
+const scratchSampleMoving = (inOptions, inSample) => {
+  const inStroke = inOptions.state.strokes.get(inSample.pointerId);
+  if (!inStroke || inOptions.state.paused) {
+    return;
+  }
+
+  scratchSampleRecording(inOptions.state, "m", inSample);
+  const position = scratchSamplePosition(inSample, inOptions);
+  scratchStrokeStamps(inOptions, inStroke, (inSpacing) =>
+    strokeSampleAdding(inStroke, position, inSpacing)
+  );
+};
+
+const scratchStrokeStopping = (inOptions, inStroke) => {
+  // samples are added in frames, so the points may not be there yet
+  scratchStrokeStamps(inOptions, inStroke, (inSpacing) =>
+    strokeEnding(inStroke, inSpacing)
+  );
+};
+
+const scratchStartHandler = (inOptions, inEvent) => {
+  if (inOptions.state.paused) {
+    return;
+  }
+
+  inOptions.canvasElement.setPointerCapture?.(inEvent.pointerId);
+  scratchSampleStarting(inOptions, scratchSampleBuilding(inEvent, inOptions));
+};
+
+const scratchSampleStarting = (inOptions, inSample) => {
+  if (inOptions.state.paused) {
+    return;
+  }
+
+  scratchSampleRecording(inOptions.state, "d", inSample);
+  inOptions.state.strokes.set(inSample.pointerId, {
+    ...strokeBuilding({
+      spacing: inOptions.stampSpacing,
+      smoothing: inOptions.strokeSmoothing,
+    }),
+    dustPalette: dustPaletteBuilding(),
+  });
+};
+
+const scratchSampleHandlers = {
+  d: scratchSampleStarting,
+  m: scratchSampleMoving,
+  u: scratchSampleStopping,
+};
+
+const scratchEventsHandling = (inOptions) => {
+  const inStopHandler = scratchStopHandler.bind(null, inOptions);
+  inOptions.state.removers.push(
+    handleUserEvent(
+      inOptions.canvasElement,
+      "pointerdown",
+      scratchStartHandler.bind(null, inOptions)
+    ),
+    handleUserEvent(
+      inOptions.canvasElement,
+      "pointermove",
+      scratchMoveHandler.bind(null, inOptions)
+    ),
+    handleUserEvent(inOptions.canvasElement, "pointerup", inStopHandler),
+    handleUserEvent(inOptions.canvasElement, "pointercancel", inStopHandler),
+    ...scratchWindowEventsHandling(inStopHandler),
+    () => inOptions.state.strokes.clear()
+  );
+};
+
+const scratchWindowEventsHandling = (inStopHandler) => {
+  const inWindow = environment().windowTarget();
+  return inWindow
+    ? [
+        handleUserEvent(inWindow, "pointerup", inStopHandler),
+        handleUserEvent(inWindow, "pointercancel", inStopHandler),
+      ]
+    : [];
+};
+
+const canvasTouchActionDisable = (inCanvasElement) => {
+  inCanvasElement.style.touchAction = "none";
+};
+
+const scratchLayersResizing = (inCanvasCtx, inState) => {
+  truthy(inState.prize, () =>
+    prizeResizing(inState.prize, inCanvasCtx.canvas, inState.size)
+  );
+  return Promise.all(
+    inState.layers.map((layer) =>
+      scratchLayerResizing(layer, inCanvasCtx.canvas, inState)
+    )
+  ).then(() => {
+    truthy(!inState.destroyed, () => scratchCompositing(inCanvasCtx, inState));
+  });
+};
+
+const scratchCanvasResizing = (inCanvasCtx, inState) => {
+  truthy(canvasBackingFitting(inCanvasCtx, inState.size), () =>
+    // a cover that fails to load again leaves the layer blank
+    scratchLayersResizing(inCanvasCtx, inState).catch(() => null)
+  );
+};
+
+const scratchExactProgress = (inCanvasCtx) => {
+  return Number(
+    canvasFilledPixelsPercent(inCanvasCtx, canvasFilledPixelsCount(inCanvasCtx))
+  );
+};
+
+const coverageScannerBuilding = (inWorkerUrl) => {
+  const scanner = { worker: null, requests: new Map(), lastId: 0 };
+  scanner.worker = environment().startWorker(inWorkerUrl);
+  truthy(scanner.worker, () => {
+    scanner.worker.addEventListener("message", (inEvent) => {
+      scanner.requests.get(inEvent.data.id)?.(inEvent.data);
+      scanner.requests.delete(inEvent.data.id);
+    });
+    const workerFailing = () => {
+      scanner.worker?.terminate();
+      scanner.worker = null;
+      scanner.requests.forEach((resolve) => resolve(null));
+      scanner.requests.clear();
+    };
+    scanner.worker.addEventListener("error", workerFailing);
+    scanner.worker.addEventListener("messageerror", workerFailing);
+  });
+  return scanner;
+};
+
+const coverageScanning = (inScanner, inImageData, inGrid) => {
+  if (!inScanner.worker) {
+    return Promise.resolve(
+      coverageCellsScanning(
+        inImageData.data,
+        inImageData.width,
+        inImageData.height,
+        inGrid
+      )
+    );
+  }
+
+  const id = ++inScanner.lastId;
+  return new Promise((inResolve) => {
+    inScanner.requests.set(id, inResolve);
+    inScanner.worker.postMessage(
+      {
+        id,
+        pixels: inImageData.data.buffer,
+        width: inImageData.width,
+        height: inImageData.height,
+        grid: inGrid,
+      },
+      [inImageData.data.buffer]
+    );
+  });
+};
+
+const scratchLayerScanning = (inLayer, inState) => {
+  const canvasElement = inLayer.canvasCtx.canvas;
+  return coverageScanning(
+    inState.coverageScanner,
+    inLayer.canvasCtx.getImageData(
+      0,
+      0,
+      canvasElement.width,
+      canvasElement.height
+    ),
+    {
+      columns: inLayer.coverage.columns,
+      rows: inLayer.coverage.rows,
+      scaleX:
+        inState.size.width / canvasElement.width / inLayer.coverage.cellSize,
+      scaleY:
+        inState.size.height / canvasElement.height / inLayer.coverage.cellSize,
+    }
+  );
+};
+
+const scratchCoverageSyncing = (inOptions, inLayer) => {
+  return scratchLayerScanning(inLayer, inOptions.state).then((inResult) => {
+    truthy(
+      inResult &&
+        !inOptions.state.destroyed &&
+        !inLayer.revealed &&
+        !inLayer.finishing,
+      () => {
+        inResult.cells.forEach((cleared, index) =>
+          truthy(cleared, () => coverageCellClear(inLayer.coverage, index))
+        );
+        inLayer.lastClearPercent = scratchPercentReachedHandler(
+          inOptions,
+          inLayer
+        );
+        scratchZonesHandler(inOptions);
+      }
+    );
+  });
+};
+
+const scratchStateBuilding = (inSize, inLayers, inRandom) => {
+  return {
+    paused: false,
+    destroyed: false,
+    frames: new Set(),
+    removers: [],
+    size: inSize,
+    layers: inLayers,
+    lastPosition: null,
+    zonesRevealed: false,
+    strokes: new Map(),
+    coverageScanner: null,
+    random: inRandom,
+    recorder: null,
+    replayStop: null,
+    prize: null,
+    persisting: false,
+    persistTimeout: null,
+    ready: null,
+  };
+};
+
+const scratchPersistenceSaving = (inOptions) => {
+  const inState = inOptions.state;
+  environment().clearTimeout(inState.persistTimeout);
+  inState.persistTimeout = null;
+  return (
+    truthy(inOptions.persistence && inState.persisting, () =>
+      inOptions.persistence.store
+        .save(inOptions.persistence.id, persistenceSnapshotBuilding(inState))
+        .catch((inError) => inOptions.persistence.errorHandler?.(inError))
+    ) ?? Promise.resolve()
+  );
+};
+
+const scratchPersistenceScheduling = (inOptions) => {
+  truthy(
+    inOptions.persistence &&
+      inOptions.state.persisting &&
+      inOptions.state.persistTimeout === null,
+    () => {
+      inOptions.state.persistTimeout = environment().setTimeout(
+        () => scratchPersistenceSaving(inOptions),
+        inOptions.persistence.delay ?? 1000
+      );
+    }
+  );
+};
+
+const scratchPersistenceRestoring = (inOptions, inCoversDrawing) => {
+  const inState = inOptions.state;
+  return Promise.all([
+    inOptions.persistence.store
+      .load(inOptions.persistence.id)
+      .catch((inError) => {
+        inOptions.persistence.errorHandler?.(inError);
+        return null;
+      }),
+    inCoversDrawing.catch(() => null),
+  ]).then(([inSnapshot]) => {
+    if (inState.destroyed) {
+      return false;
+    }
+
+    const restored = persistenceSnapshotRestoring(inState, inSnapshot);
+    truthy(restored, () => {
+      scratchCompositing(inOptions.canvasCtx, inState);
+      scratchPrizeChecking(inOptions);
+      const inBottomLayer = inState.layers.at(-1);
+      truthy(inBottomLayer.revealed, () =>
+        scratchPrizeReporting(inOptions, 100)
+      );
+      truthy(
+        inBottomLayer.reachPercent &&
+          inBottomLayer.lastClearPercent >= inBottomLayer.reachPercent,
+        () => scratchPrizeReporting(inOptions, inBottomLayer.lastClearPercent)
+      );
+    });
+    inState.persisting = true;
+    inState.removers.push(
+      environment().watchVisibility(() =>
+        truthy(environment().isHidden(), () =>
+          scratchPersistenceSaving(inOptions)
+        )
+      ),
+      () =>
+        truthy(inState.persistTimeout !== null, () =>
+          scratchPersistenceSaving(inOptions)
+        )
+    );
+    return restored;
+  });
+};
+
+const scratchReplayStopping = (inState) => {
+  inState.replayStop?.();
+  inState.replayStop = null;
+};
+
+const scratchResetting = (inOptions) => {
+  const inState = inOptions.state;
+  inState.zonesRevealed = false;
+  inState.layers.forEach((layer) => {
+    layer.revealed = false;
+    layer.lastClearPercent = 0;
+    coverageFill(layer.coverage, false);
+  });
+  return Promise.all(
+    inState.layers.map((layer) => scratchLayerCoverDrawing(layer, inState))
+  ).then(() => {
+    scratchCompositing(inOptions.canvasCtx, inState);
+    return scratchPersistenceSaving(inOptions);
+  });
+};
+
+// the card takes the recorded options, layers keep their own like at build
+const scratchSessionOptionsApplying = (inOptions, inSession) => {
+  const inState = inOptions.state;
+  const options = { ...inOptions, ...inSession.options };
+  inState.strokes.clear();
+  inState.layers.forEach((layer) => {
+    const layerOptions = options.layers?.[layer.index] ?? options;
+    layer.reachPercent = layerOptions.reachPercent;
+    layer.coverage = coverageBuilding(
+      inState.size.width,
+      inState.size.height,
+      layerOptions.coverageCellSize ?? options.coverageCellSize
+    );
+  });
+  (options.zones ?? []).forEach((zone) =>
+    coverageZoneAdding(scratchZonesCoverage(inState), zone)
+  );
+  // covers are drawn again from the card seed, as on the recorded card
+  inState.random = randomSource(options);
+  return options;
+};
+
+const scratchSessionReplaying = (
+  inOptions,
+  inSession,
+  inReplayOptions = {}
+) => {
+  const inState = inOptions.state;
+  const session = sessionParsing(inSession);
+  const speed = inReplayOptions.speed ?? 1;
+  if (!(speed > 0)) {
+    throw Error(`replay speed must be above 0, got ${speed}`);
+  }
+
+  scratchReplayStopping(inState);
+  const options = scratchSessionOptionsApplying(inOptions, session);
+
+  return new Promise((resolve) => {
+    let timeoutId = null;
+    let stopped = false;
+    inState.replayStop = () => {
+      stopped = true;
+      environment().clearTimeout(timeoutId);
+      resolve(false);
+    };
+    const eventsApplying = (inIndex, inTime) => {
+      let index = inIndex;
+      while (
+        index < session.events.length &&
+        (speed === Infinity || session.events[index][0] <= inTime)
+      ) {
+        const sample = sessionEventSample(session.events[index++]);
+        scratchSampleHandlers[sample.kind](options, sample);
+      }
+
+      if (index < session.events.length) {
+        const nextTime = session.events[index][0];
+        timeoutId = environment().setTimeout(
+          () => eventsApplying(index, nextTime),
+          (nextTime - inTime) / speed
+        );
+        return;
+      }
+
+      scratchFrameRequest(inState, () => {
+        inState.replayStop = null;
+        resolve(true);
+      });
+    };
+    scratchResetting(options).then(() =>
+      truthy(!stopped, () => {
+        inState.random = randomSeeded(session.seed);
+        eventsApplying(0, 0);
+      })
+    );
+  });
+};
+
+const scratchController = (inCanvasCtx, inOptions, inState) => {
+  return {
+    reset: () =>
+      scratchResetting({
+        ...inOptions,
+        canvasCtx: inCanvasCtx,
+        state: inState,
+      }),
+    revealAll: (inFinish) => {
+      truthy(inFinish, () => finishEffect(inFinish.effect));
+      const inLayerOptions = {
+        ...inOptions,
+        canvasCtx: inCanvasCtx,
+        state: inState,
+      };
+      return Promise.all(
+        inState.layers
+          .filter((layer) => !layer.revealed && !layer.finishing)
+          .map((layer) =>
+            scratchLayerWearing(
+              inLayerOptions,
+              layer,
+              coveragePercent(layer.coverage),
+              inFinish
+            )
+          )
+      );
+    },
+    ready: () => inState.ready,
+    getProgress: () =>
+      coveragePercent(scratchActiveLayer(inState.layers).coverage),
+    getLayerProgress: (inIndex) =>
+      inState.layers[inIndex]
+        ? coveragePercent(inState.layers[inIndex].coverage)
+        : null,
+    getZoneProgress: (inName) => {
+      const zone = scratchZonesCoverage(inState).zones.find(
+        (item) => item.name === inName
+      );
+      return zone ? coverageZonePercent(zone) : null;
+    },
+    exactProgress: () =>
+      scratchLayerScanning(scratchActiveLayer(inState.layers), inState).then(
+        (inResult) => inResult?.percent ?? null
+      ),
+    recountProgress: () => {
+      const inLayer = scratchActiveLayer(inState.layers);
+      return {
+        tracked: coveragePercent(inLayer.coverage),
+        exact: scratchExactProgress(inLayer.canvasCtx),
+      };
+    },
+    startRecording: () => {
+      const seed = randomSeedDrawing(inState.random);
+      inState.random = randomSeeded(seed);
+      inState.recorder = sessionRecorderBuilding(
+        inOptions,
+        seed,
+        environment().now()
+      );
+    },
+    stopRecording: () => {
+      const session =
+        truthy(inState.recorder, () => sessionBuilding(inState.recorder)) ??
+        null;
+      inState.recorder = null;
+      return session;
+    },
+    replay: (inSession, inReplayOptions) =>
+      scratchSessionReplaying(
+        { ...inOptions, canvasCtx: inCanvasCtx, state: inState },
+        inSession,
+        inReplayOptions
+      ),
+    pause: () => {
+      inState.paused = true;
+    },
+    resume: () => {
+      inState.paused = inState.destroyed;
+    },
+    destroy: () => {
+      inState.destroyed = true;
+      inState.paused = true;
+      inState.removers.splice(0).forEach((remove) => remove());
+      inState.frames.forEach((frameId) => environment().cancelFrame(frameId));
+      inState.frames.clear();
+    },
+  };
+};
+
+const scratch = (inOptions) => {
+  const inCanvasCtx = canvasCtxBuilding({
+    canvasElement: inOptions.canvasElement,
+  });
+  const inSize = {
+    width: inOptions.width ?? inOptions.canvasElement.width,
+    height: inOptions.height ?? inOptions.canvasElement.height,
+  };
+  const inState = scratchStateBuilding(
+    inSize,
+    scratchLayersBuilding(inOptions, inSize),
+    randomSource(inOptions)
+  );
+  inState.layers.forEach((layer) =>
+    truthy(layer.finish, () => finishEffect(layer.finish.effect))
+  );
+  inState.coverageScanner = coverageScannerBuilding(inOptions.coverageWorker);
+  inState.prize =
+    truthy(inOptions.prize, () => prizeStateBuilding(inOptions.prize)) ?? null;
+  inState.removers.push(
+    () => inState.coverageScanner.worker?.terminate(),
+    () => scratchReplayStopping(inState)
+  );
+  (inOptions.zones ?? []).forEach((zone) =>
+    coverageZoneAdding(scratchZonesCoverage(inState), zone)
+  );
+  canvasTouchActionDisable(inOptions.canvasElement);
+  canvasBackingFitting(inCanvasCtx, inSize);
+  canvasTransformApplying(inCanvasCtx, inSize);
+  const inCoversDrawing = scratchLayersResizing(inCanvasCtx, inState);
+  inState.removers.push(
+    canvasResizeWatching(
+      inOptions.canvasElement,
+      scratchCanvasResizing.bind(null, inCanvasCtx, inState)
+    )
+  );
+
+  const inScratchOptions = {
+    ...inOptions,
+    canvasCtx: inCanvasCtx,
+    state: inState,
+  };
+  if (inOptions.persistence) {
+    // saved progress goes back on the covers before any input is taken
+    inState.ready = scratchPersistenceRestoring(
+      inScratchOptions,
+      inCoversDrawing
+    ).then((inRestored) => {
+      truthy(!inState.destroyed, () => scratchEventsHandling(inScratchOptions));
+      return inRestored;
+    });
+  } else {
+    scratchEventsHandling(inScratchOptions);
+    inState.ready = inCoversDrawing.then(
+      () => false,
+      () => false
+    );
+  }
+
+  return scratchController(inCanvasCtx, inOptions, inState);
+};
+
+const sandDustHandler = (
+  inScene,
+  inTicker,
+  inColors,
+  inPhysics = Physics.shared(),
+  inRandom = randomSource()
+) => {
+  return (percent, imageSize, position, dust = {}) => {
+    if (!percent) {
+      return;
+    }
+
+    const sand = new Sand(
+      new SandStream(
+        dust.colors ?? inColors,
+        imageSize.width,
+        inTicker,
+        inScene,
+        position.y - imageSize.height / 2,
+        position.x,
+        inPhysics,
+        [dust.velocity?.x ?? 0, dust.velocity?.y ?? 0],
+        dust.random ?? inRandom
+      ),
+      percent * 3,
+      4
+    );
+    inScene.addObject(sand);
+  };
+};
+
+const sandMainDustHandler = (
+  inCanvasElement,
+  inColors,
+  inPhysicsOptions,
+  inSeed
+) => {
+  const canvas = new Canvas(inCanvasElement);
+  const scene = new Scene(canvas);
+  const ticker = new Ticker(1000 / 60, scene.render.bind(scene));
+  ticker.idleWhenEmpty(scene).run();
+  return Object.assign(
+    sandDustHandler(
+      scene,
+      ticker,
+      inColors,
+      new Physics(inPhysicsOptions),
+      randomSource({ seed: inSeed })
+    ),
+    {
+      destroy: () => {
+        ticker.stop();
+        canvas.destroy();
+      },
+    }
+  );
+};
+
+const sandWorkerCanvasReplacing = (inCanvasElement) => {
+  // a canvas handed to a worker never draws on the main thread again
+  const canvasElement =
+    inCanvasElement.cloneNode?.() ??
+    environment().createCanvas(inCanvasElement.width, inCanvasElement.height);
+  inCanvasElement.replaceWith?.(canvasElement);
+  return canvasElement;
+};
+
+/**
+ * @returns {function} dust handler with destroy(), which ends the worker or
+ * the main-thread ticker and removes the listeners
+ */
+const sandWorkerDustHandler = (
+  inSelector,
+  inColors,
+  inPhysicsOptions = {},
+  inWorkerUrl = "./dust-worker.js",
+  inSeed
+) => {
+  const canvasElement = environment().query(inSelector);
+  const worker = canvasElement.transferControlToOffscreen
+    ? environment().startWorker(inWorkerUrl)
+    : null;
+  if (!worker) {
+    return sandMainDustHandler(
+      canvasElement,
+      inColors,
+      inPhysicsOptions,
+      inSeed
+    );
+  }
+
+  const offscreenCanvas = canvasElement.transferControlToOffscreen();
+  worker.postMessage(
+    {
+      type: "init",
+      canvas: offscreenCanvas,
+      size: { width: canvasElement.width, height: canvasElement.height },
+      backing: canvasBackingSize(canvasElement),
+      colors: inColors,
+      physics: inPhysicsOptions,
+      seed: inSeed,
+    },
+    [offscreenCanvas]
+  );
+  const removers = [
+    canvasResizeWatching(canvasElement, () =>
+      worker.postMessage({
+        type: "resize",
+        backing: canvasBackingSize(canvasElement),
+      })
+    ),
+    environment().watchVisibility(() =>
+      worker.postMessage({
+        type: "visibility",
+        hidden: environment().isHidden(),
+      })
+    ),
+  ];
+  const handler = { dust: null, destroyed: false };
+  const workerStopping = () => {
+    removers.splice(0).forEach((remove) => remove());
+    worker.terminate();
+  };
+  const workerFailing = () => {
+    truthy(!handler.dust && !handler.destroyed, () => {
+      workerStopping();
+      handler.dust = sandMainDustHandler(
+        sandWorkerCanvasReplacing(canvasElement),
+        inColors,
+        inPhysicsOptions,
+        inSeed
+      );
+    });
+  };
+  worker.addEventListener("error", workerFailing);
+  worker.addEventListener("messageerror", workerFailing);
+
+  return Object.assign(
+    (percent, imageSize, position, dust = {}) => {
+      if (handler.dust) {
+        handler.dust(percent, imageSize, position, dust);
+        return;
+      }
+
+      truthy(percent && !handler.destroyed, () =>
+        worker.postMessage({
+          type: "dust",
+          percent,
+          imageSize: { width: imageSize.width, height: imageSize.height },
+          position: { x: position.x, y: position.y },
+          dust: {
+            colors: dust.colors,
+            velocity: dust.velocity,
+            seed: truthy(dust.random, () => randomSeedDrawing(dust.random)),
+          },
+        })
+      );
+    },
+    {
+      destroy: () => {
+        handler.destroyed = true;
+        workerStopping();
+        handler.dust?.destroy();
+        handler.dust = null;
+      },
+    }
+  );
+};
+
+const sandPileDustHandler = (inPile, inColors) => {
+  return (percent, imageSize, position, dust = {}) => {
+    if (!percent) {
+      return;
+    }
+
+    inPile.pour(
+      position.y,
+      position.x - imageSize.width / 2,
+      imageSize.width,
+      Math.ceil(percent * 40),
+      dust.colors ?? inColors
+    );
+  };
+};
+
+const scratchImagesLoading = (inUrls) => {
+  return Promise.all(inUrls.map((url) => environment().loadImage(url)));
+};
+
+export {
+  drawCanvasImage,
+  drawCanvasImageRotated,
+  scratch,
+  sandDustHandler,
+  sandWorkerDustHandler,
+  sandPileDustHandler,
+  scratchImagesLoading,
+};
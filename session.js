@@ -0,0 +1,82 @@
+const sessionVersion = 1;
+
+const sessionOptionKeys = [
+  "width",
+  "height",
+  "seed",
+  "stampSpacing",
+  "strokeSmoothing",
+  "pressureBrush",
+  "coverageCellSize",
+  "reachPercent",
+  "zones",
+];
+
+const sessionOptionsPicking = (inOptions) => {
+  return JSON.parse(
+    JSON.stringify(
+      Object.fromEntries(
+        sessionOptionKeys
+          .filter((key) => inOptions[key] !== undefined)
+          .map((key) => [key, inOptions[key]])
+      )
+    )
+  );
+};
+
+const sessionRecorderBuilding = (inOptions, inSeed, inStartTime) => {
+  return {
+    seed: inSeed,
+    options: sessionOptionsPicking(inOptions),
+    startTime: inStartTime,
+    events: [],
+  };
+};
+
+// one event is [time, kind, pointerId, x, y, pressure?], kind is d, m or u
+const sessionSampleRecording = (inRecorder, inKind, inSample) => {
+  const event = [
+    inSample.time - inRecorder.startTime,
+    inKind,
+    inSample.pointerId,
+    inSample.x,
+    inSample.y,
+  ];
+  inRecorder.events.push(
+    inSample.pressure === null ? event : [...event, inSample.pressure]
+  );
+};
+
+const sessionBuilding = (inRecorder) => {
+  return {
+    version: sessionVersion,
+    seed: inRecorder.seed,
+    options: inRecorder.options,
+    events: inRecorder.events.slice(),
+  };
+};
+
+const sessionParsing = (inSession) => {
+  const session =
+    typeof inSession === "string" ? JSON.parse(inSession) : inSession;
+  if (session?.version !== sessionVersion) {
+    throw Error(`unsupported session version ${session?.version}`);
+  }
+
+  return session;
+};
+
+const sessionEventSample = (inEvent) => {
+  const [time, kind, pointerId, x, y, pressure = null] = inEvent;
+  return { kind, time, pointerId, x, y, pressure };
+};
+
+export {
+  sessionVersion,
+  sessionOptionsPicking,
+  sessionRecorderBuilding,
+  sessionSampleRecording,
+  sessionBuilding,
+  sessionParsing,
+  sessionEventSample,
+};
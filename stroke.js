@@ -0,0 +1,111 @@
+const strokeBuilding = (inOptions = {}) => {
+  return {
+    spacing: inOptions.spacing,
+    smoothing: inOptions.smoothing ?? false,
+    points: [],
+    travelled: 0,
+    velocity: { x: 0, y: 0 },
+  };
+};
+
+const pointScale = (inPoint) => inPoint.scale ?? 1;
+
+const catmullRomPoint = (inP0, inP1, inP2, inP3, inT) => {
+  const t2 = inT * inT;
+  const t3 = t2 * inT;
+  const axis = (inKey) =>
+    0.5 *
+    (2 * inP1[inKey] +
+      (-inP0[inKey] + inP2[inKey]) * inT +
+      (2 * inP0[inKey] - 5 * inP1[inKey] + 4 * inP2[inKey] - inP3[inKey]) * t2 +
+      (-inP0[inKey] + 3 * inP1[inKey] - 3 * inP2[inKey] + inP3[inKey]) * t3);
+
+  return {
+    x: axis("x"),
+    y: axis("y"),
+    scale: pointScale(inP1) + (pointScale(inP2) - pointScale(inP1)) * inT,
+  };
+};
+
+const catmullRomPath = (inP0, inP1, inP2, inP3) => {
+  const distance = Math.hypot(inP2.x - inP1.x, inP2.y - inP1.y);
+  const steps = Math.max(1, Math.ceil(distance / 4));
+  const path = [];
+  for (let i = 0; i <= steps; i++) {
+    path.push(catmullRomPoint(inP0, inP1, inP2, inP3, i / steps));
+  }
+
+  return path;
+};
+
+const strokePathStamps = (inStroke, inPath, inSpacing) => {
+  const stamps = [];
+  for (let i = 1; i < inPath.length; i++) {
+    const from = inPath[i - 1];
+    const to = inPath[i];
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    let distance = inSpacing - inStroke.travelled;
+    while (distance <= length) {
+      const progress = distance / length;
+      stamps.push({
+        x: from.x + (to.x - from.x) * progress,
+        y: from.y + (to.y - from.y) * progress,
+        velocity: inStroke.velocity,
+        scale:
+          pointScale(from) + (pointScale(to) - pointScale(from)) * progress,
+      });
+      distance += inSpacing;
+    }
+    inStroke.travelled = length - (distance - inSpacing);
+  }
+
+  return stamps;
+};
+
+const strokeSampleAdding = (inStroke, inPosition, inSpacing) => {
+  const spacing = Math.max(1, inStroke.spacing ?? inSpacing);
+  const points = inStroke.points;
+  const previous = points.at(-1);
+  if (previous && inPosition.time > previous.time) {
+    const elapsed = (inPosition.time - previous.time) / 1000;
+    inStroke.velocity = {
+      x: (inPosition.x - previous.x) / elapsed,
+      y: (inPosition.y - previous.y) / elapsed,
+    };
+  }
+  points.push(inPosition);
+  if (points.length > 4) {
+    points.shift();
+  }
+
+  if (points.length === 1) {
+    inStroke.travelled = 0;
+    return [{ ...inPosition, velocity: inStroke.velocity }];
+  }
+
+  if (!inStroke.smoothing) {
+    return strokePathStamps(inStroke, points.slice(-2), spacing);
+  }
+
+  if (points.length < 3) {
+    return [];
+  }
+
+  const [p0, p1, p2, p3] =
+    points.length === 3 ? [points[0], ...points] : points;
+  return strokePathStamps(inStroke, catmullRomPath(p0, p1, p2, p3), spacing);
+};
+
+const strokeEnding = (inStroke, inSpacing) => {
+  const spacing = Math.max(1, inStroke.spacing ?? inSpacing);
+  const points = inStroke.points.splice(0);
+  if (!inStroke.smoothing || points.length < 2) {
+    return [];
+  }
+
+  const [p0, p1, p2] =
+    points.length > 2 ? points.slice(-3) : [points[0], ...points];
+  return strokePathStamps(inStroke, catmullRomPath(p0, p1, p2, p2), spacing);
+};
+
+export { strokeBuilding, strokeSampleAdding, strokeEnding };
@@ -0,0 +1,156 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import {
+  Call,
+  Canvas,
+  Delay,
+  Easing,
+  environment,
+  Repeat,
+  Scene,
+  Sequence,
+  Ticker,
+  Tween,
+  Yoyo,
+} from "../index.js";
+import { environmentTestingHooks, MemoryCanvas } from "../testing.js";
+
+environmentTestingHooks({ beforeEach, afterEach });
+
+const sceneRunning = () => {
+  const scene = new Scene(new Canvas(new MemoryCanvas(10, 10)));
+  const ticker = new Ticker(1000 / 60, (dt) => scene.render(dt));
+  ticker.idleWhenEmpty(scene).run();
+  return { scene, ticker };
+};
+
+test("a tween applies eased values at the given times", () => {
+  const target = { x: 0, color: "#000" };
+  const tween = new Tween(
+    target,
+    { x: 100, color: "#ffffff" },
+    100,
+    Easing.easeInQuad
+  );
+
+  tween.seek(50);
+  assert.equal(target.x, 25);
+  assert.equal(target.color, "rgba(64, 64, 64, 1)");
+  tween.seek(100);
+  assert.equal(target.x, 100);
+  tween.seek(500);
+  assert.equal(target.x, 100);
+  tween.seek(0);
+  assert.equal(target.x, 0);
+});
+
+test("a played tween finishes on the fake clock", async () => {
+  const { scene, ticker } = sceneRunning();
+  const target = { x: 0 };
+  const completed = [];
+  const tween = new Tween(target, { x: 10 }, 100).onComplete((inDone) =>
+    completed.push(inDone)
+  );
+  tween.play(scene);
+  await environment().clock.advanceFrames(3);
+
+  assert.ok(target.x > 0 && target.x < 10);
+  assert.deepEqual(completed, []);
+
+  await environment().clock.advance(100);
+  assert.equal(target.x, 10);
+  assert.equal(await tween.finished(), true);
+  assert.deepEqual(completed, [true]);
+  assert.equal(scene.isEmpty(), true);
+  ticker.stop();
+});
+
+test("a sequence hands off from the end values of the previous step", () => {
+  const target = { x: 0 };
+  const calls = [];
+  const sequence = new Sequence([
+    new Tween(target, { x: 10 }, 100),
+    new Call(() => calls.push(target.x)),
+    new Delay(50),
+    new Tween(target, { x: 20 }, 100),
+  ]);
+
+  assert.equal(sequence.duration(), 250);
+  sequence.seek(40);
+  assert.equal(target.x, 4);
+  sequence.seek(200);
+  assert.deepEqual(calls, [10]);
+  assert.equal(target.x, 15);
+  sequence.seek(250);
+  assert.equal(target.x, 20);
+});
+
+test("a sequence jumping past a step still completes it", () => {
+  const target = { x: 0, y: 0 };
+  const sequence = new Sequence([
+    new Tween(target, { x: 10 }, 100),
+    new Tween(target, { y: 10 }, 100),
+  ]);
+  sequence.seek(10);
+  sequence.seek(150);
+
+  assert.equal(target.x, 10);
+  assert.equal(target.y, 5);
+});
+
+test("repeat plays its animation the given number of times", async () => {
+  const { scene, ticker } = sceneRunning();
+  let calls = 0;
+  const repeat = new Repeat(
+    new Sequence([new Call(() => calls++), new Delay(100)]),
+    3
+  );
+
+  assert.equal(repeat.duration(), 300);
+  repeat.play(scene);
+  await environment().clock.advance(150);
+  assert.equal(calls, 2);
+
+  await environment().clock.advance(300);
+  assert.equal(calls, 3);
+  assert.equal(await repeat.finished(), true);
+  assert.equal(new Repeat(new Delay(100)).duration(), Infinity);
+  ticker.stop();
+});
+
+test("repeat snaps each pass to its end before starting over", () => {
+  const target = { x: 0 };
+  const repeat = new Repeat(new Tween(target, { x: 10 }, 100), 2);
+  repeat.seek(90);
+  assert.equal(target.x, 9);
+
+  repeat.seek(120);
+  assert.equal(target.x, 2);
+  repeat.seek(1000);
+  assert.equal(target.x, 10);
+});
+
+test("yoyo goes forwards then backwards", async () => {
+  const target = { x: 0 };
+  const yoyo = new Yoyo(new Tween(target, { x: 100 }, 100));
+
+  assert.equal(yoyo.duration(), 200);
+  yoyo.seek(50);
+  assert.equal(target.x, 50);
+  yoyo.seek(100);
+  assert.equal(target.x, 100);
+  yoyo.seek(175);
+  assert.equal(target.x, 25);
+  yoyo.seek(200);
+  assert.equal(target.x, 0);
+
+  const { scene, ticker } = sceneRunning();
+  const bouncing = new Repeat(new Yoyo(new Tween(target, { x: 10 }, 50)), 2);
+  bouncing.play(scene);
+  await environment().clock.advance(150);
+  assert.ok(target.x > 0);
+  await environment().clock.advance(100);
+  assert.equal(await bouncing.finished(), true);
+  assert.equal(target.x, 0);
+  ticker.stop();
+});
@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import {
+  coverLayersBuilding,
+  coverLayersDrawing,
+  coverLayersLoading,
+  randomSeeded,
+} from "../index.js";
+import {
+  canvasPixelAt,
+  canvasRectBuilding,
+  environmentTestingHooks,
+  MemoryCanvas,
+} from "../testing.js";
+
+environmentTestingHooks({ beforeEach, afterEach }, () => ({
+  images: { "./cover.png": canvasRectBuilding(10, 10) },
+}));
+
+const coverDrawing = (inLayers, inRandom) => {
+  const canvasElement = new MemoryCanvas(100, 50);
+  coverLayersDrawing(
+    canvasElement.getContext("2d"),
+    { width: 100, height: 50 },
+    inLayers,
+    inRandom
+  );
+  return canvasElement;
+};
+
+test("a colour cover fills the card at the layer opacity", () => {
+  const canvasElement = coverDrawing([
+    { type: "color", color: "#ffffff" },
+    { type: "color", color: "#ff0000", opacity: 0.5 },
+  ]);
+
+  assert.deepEqual(canvasPixelAt(canvasElement, 0, 0), [255, 128, 128, 255]);
+  assert.deepEqual(canvasPixelAt(canvasElement, 99, 49), [255, 128, 128, 255]);
+});
+
+test("gradient covers run between their stops", () => {
+  const linear = coverDrawing([
+    {
+      type: "linear-gradient",
+      from: [0, 0],
+      to: [100, 0],
+      stops: ["#000000", "#ffffff"],
+    },
+  ]);
+  const [left] = canvasPixelAt(linear, 0, 25);
+  const [middle] = canvasPixelAt(linear, 50, 25);
+  const [right] = canvasPixelAt(linear, 99, 25);
+  assert.ok(left < 5 && right > 250);
+  assert.ok(Math.abs(middle - 128) < 5);
+
+  const radial = coverDrawing([
+    {
+      type: "radial-gradient",
+      radius: 25,
+      stops: [
+        [0, "#ff0000"],
+        [1, "#0000ff"],
+      ],
+    },
+  ]);
+  assert.ok(canvasPixelAt(radial, 50, 25)[0] > 240);
+  assert.deepEqual(canvasPixelAt(radial, 0, 0), [0, 0, 255, 255]);
+});
+
+test("a pattern cover repeats its dot tile", () => {
+  const canvasElement = coverDrawing([
+    { type: "pattern", size: 10, radius: 3, color: "#00ff00" },
+  ]);
+
+  assert.deepEqual(canvasPixelAt(canvasElement, 5, 5), [0, 255, 0, 255]);
+  assert.deepEqual(canvasPixelAt(canvasElement, 45, 35), [0, 255, 0, 255]);
+  assert.equal(canvasPixelAt(canvasElement, 0, 0)[3], 0);
+});
+
+test("image layers load through the environment and draw in place", async () => {
+  assert.deepEqual(coverLayersBuilding({ image: "./cover.png" }), [
+    { type: "image", url: "./cover.png" },
+  ]);
+  const layers = await coverLayersLoading([
+    { type: "image", url: "./cover.png", left: 20, top: 10, width: 30 },
+    { type: "color", color: "#fff" },
+  ]);
+  assert.equal(layers[1].image, undefined);
+
+  const canvasElement = coverDrawing(layers.slice(0, 1));
+  assert.equal(canvasPixelAt(canvasElement, 45, 15)[3], 255);
+  assert.equal(canvasPixelAt(canvasElement, 15, 15)[3], 0);
+  assert.equal(canvasPixelAt(canvasElement, 45, 25)[3], 0);
+  await assert.rejects(
+    coverLayersLoading([{ type: "image", url: "./missing.png" }])
+  );
+});
+
+test("foil noise follows the random source it is given", () => {
+  const foilDrawing = (inSeed) =>
+    coverDrawing([{ type: "foil", noise: 1 }], randomSeeded(inSeed)).pixels();
+  const pixels = foilDrawing(3);
+
+  assert.deepEqual(foilDrawing(3), pixels);
+  assert.notDeepEqual(foilDrawing(4), pixels);
+  assert.ok(
+    pixels.data.every((value, index) => index % 4 !== 3 || value === 255)
+  );
+});
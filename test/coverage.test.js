@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import {
+  brushMaskBuilding,
+  canvasFilledPixelsCount,
+  canvasFilledPixelsPercent,
+  coverageBuilding,
+  coverageCellsScanning,
+  coverageFill,
+  coveragePercent,
+  coverageStamp,
+  coverageZoneAdding,
+  coverageZonePercent,
+} from "../index.js";
+import {
+  canvasRectBuilding,
+  environmentTestingHooks,
+  MemoryCanvas,
+} from "../testing.js";
+
+environmentTestingHooks({ beforeEach, afterEach });
+
+test("a stamp clears the cells under the brush mask", () => {
+  const coverage = coverageBuilding(40, 40, 4);
+  const cleared = coverageStamp(
+    coverage,
+    brushMaskBuilding(canvasRectBuilding(8)),
+    {
+      top: 0,
+      left: 0,
+      width: 8,
+      height: 8,
+    }
+  );
+
+  assert.equal(cleared, 4);
+  assert.equal(coveragePercent(coverage), 4);
+});
+
+test("stamping the same place twice counts once", () => {
+  const coverage = coverageBuilding(40, 40, 4);
+  const mask = brushMaskBuilding(canvasRectBuilding(8));
+  const stamp = { top: 8, left: 8, width: 8, height: 8 };
+  coverageStamp(coverage, mask, stamp);
+
+  assert.equal(coverageStamp(coverage, mask, stamp), 0);
+  assert.equal(coveragePercent(coverage), 4);
+});
+
+test("zones track their own percent", () => {
+  const coverage = coverageBuilding(40, 40, 4);
+  const zone = coverageZoneAdding(coverage, {
+    name: "prize",
+    rect: { top: 0, left: 0, width: 8, height: 16 },
+  });
+  coverageStamp(coverage, brushMaskBuilding(canvasRectBuilding(8)), {
+    top: 0,
+    left: 0,
+    width: 8,
+    height: 8,
+  });
+
+  assert.equal(zone.cellsCount, 8);
+  assert.equal(coverageZonePercent(zone), 50);
+  assert.equal(zone.changed, true);
+});
+
+test("coverageFill clears or restores every cell", () => {
+  const coverage = coverageBuilding(40, 40, 4);
+
+  assert.equal(coveragePercent(coverageFill(coverage, true)), 100);
+  assert.equal(coveragePercent(coverageFill(coverage, false)), 0);
+});
+
+test("cells count as cleared when half their pixels are transparent", () => {
+  const pixels = new Uint8ClampedArray(4 * 4 * 4).fill(255);
+  [0, 1, 4].forEach((pixel) => (pixels[pixel * 4 + 3] = 0));
+  const result = coverageCellsScanning(pixels, 4, 4, {
+    columns: 2,
+    rows: 2,
+    scaleX: 0.5,
+    scaleY: 0.5,
+  });
+
+  assert.deepEqual([...result.cells], [1, 0, 0, 0]);
+  assert.equal(result.percent, (3 / 16) * 100);
+});
+
+test("filled pixels are counted on the canvas itself", () => {
+  const canvas = new MemoryCanvas(10, 10);
+  const canvasCtx = canvas.getContext("2d");
+  canvasCtx.fillRect(0, 0, 10, 10);
+  canvasCtx.clearRect(0, 0, 5, 10);
+  const filledPixelsCount = canvasFilledPixelsCount(canvasCtx);
+
+  assert.equal(filledPixelsCount, 50);
+  assert.equal(canvasFilledPixelsPercent(canvasCtx, filledPixelsCount), "50");
+});
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import {
+  dustColorMixing,
+  dustPaletteBuilding,
+  dustPaletteColors,
+  dustPaletteSampling,
+  randomSeeded,
+} from "../index.js";
+import { environmentTestingHooks, MemoryCanvas } from "../testing.js";
+
+environmentTestingHooks({ beforeEach, afterEach });
+
+test("mixed dust colours snap to a few levels per channel", () => {
+  const random = randomSeeded(3);
+  const colors = new Set(
+    Array.from({ length: 500 }, () =>
+      dustColorMixing(
+        { r: 200, g: 160, b: 40 },
+        { r: 255, g: 255, b: 255 },
+        0.3,
+        0.06,
+        random
+      )
+    )
+  );
+
+  assert.ok(colors.size <= 27);
+  colors.forEach((color) =>
+    color
+      .match(/\d+/g)
+      .forEach((channel) => assert.equal(Number(channel) % 17, 0))
+  );
+  assert.equal(
+    dustColorMixing(
+      { r: 100, g: 100, b: 100 },
+      { r: 0, g: 0, b: 0 },
+      0,
+      0,
+      random,
+      2
+    ),
+    "rgb(0, 0, 0)"
+  );
+});
+
+test("a stroke segment is sampled with one readback", () => {
+  const canvasElement = new MemoryCanvas(60, 20);
+  const canvasCtx = canvasElement.getContext("2d");
+  canvasCtx.fillStyle = "#ff0000";
+  canvasCtx.fillRect(0, 0, 30, 20);
+  canvasCtx.fillStyle = "#0000ff";
+  canvasCtx.fillRect(30, 0, 30, 20);
+  let readbacks = 0;
+  const getImageData = canvasCtx.getImageData.bind(canvasCtx);
+  canvasCtx.getImageData = (...inArgs) => {
+    readbacks++;
+    return getImageData(...inArgs);
+  };
+
+  const palette = dustPaletteSampling(
+    dustPaletteBuilding(),
+    canvasCtx,
+    [
+      { left: 0, top: 0, width: 20, height: 20 },
+      { left: 40, top: 0, width: 20, height: 20 },
+      { left: 80, top: 0, width: 20, height: 20 },
+    ],
+    { width: 60, height: 20 }
+  );
+
+  assert.equal(readbacks, 1);
+  assert.deepEqual(dustPaletteColors(palette, { size: 2, slots: 2 }).sort(), [
+    "rgb(0, 0, 255)",
+    "rgb(255, 0, 0)",
+  ]);
+});
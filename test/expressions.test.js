@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  Clamp,
+  Division,
+  ElapsedTime,
+  Lerp,
+  Mul,
+  PrimitiveAware,
+  Sum,
+  Variable,
+  Vec2,
+} from "../index.js";
+
+class CountingNumber extends PrimitiveAware {
+  #value;
+
+  constructor(value) {
+    super();
+    this.#value = value;
+    this.computeCount = 0;
+  }
+
+  version() {
+    return this.#value.version();
+  }
+
+  computeValue() {
+    this.computeCount++;
+    return this.#value.number();
+  }
+}
+
+test("operations stay lazy and follow their variables", () => {
+  const width = new Variable(100);
+  const half = new Division(width, 2);
+
+  assert.equal(half.number(), 50);
+  width.set(40);
+  assert.equal(half.number(), 20);
+  assert.equal(new Sum(half, new Mul(width, 2)) + 0, 100);
+});
+
+test("unchanged operands are not recomputed", () => {
+  const value = new Variable(3);
+  const counting = new CountingNumber(value);
+  counting.number();
+  counting.number();
+
+  assert.equal(counting.computeCount, 1);
+  value.set(4);
+  assert.equal(counting.number(), 4);
+  assert.equal(counting.computeCount, 2);
+});
+
+test("clamp and lerp", () => {
+  assert.equal(new Clamp(15, 0, 10).number(), 10);
+  assert.equal(new Clamp(-5, 0, 10).number(), 0);
+  assert.equal(new Lerp(10, 20, 0.25).number(), 12.5);
+});
+
+test("vectors combine lazily", () => {
+  const x = new Variable(3);
+  const vector = new Vec2(x, 4);
+  const length = vector.length();
+
+  assert.equal(length.number(), 5);
+  x.set(0);
+  assert.deepEqual(vector.add(new Vec2(1, 1)).value(), [1, 5]);
+  assert.equal(length.number(), 4);
+});
+
+test("elapsed time changes once per frame", () => {
+  const ticker = { frame: () => 1, elapsedMs: () => 16 };
+  const elapsed = new ElapsedTime(ticker);
+
+  assert.equal(elapsed.number(), 16);
+  assert.equal(elapsed.version(), 1);
+});
+
+test("switching a variable to another expression never reuses a version", () => {
+  const first = new Variable(1);
+  const second = new Variable(1);
+  const value = new Variable(first);
+  const doubled = new Mul(value, 2);
+  first.set(2);
+  first.set(3);
+
+  assert.equal(doubled.number(), 6);
+  value.set(second);
+  second.set(7);
+  assert.equal(doubled.number(), 14);
+  first.set(4);
+  assert.equal(doubled.number(), 14);
+});
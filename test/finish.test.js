@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import { Canvas, environment, Scene, Ticker } from "../index.js";
+import {
+  canvasPixelAt,
+  cardTestingBuilding,
+  cardTestingImages,
+  environmentTestingHooks,
+  MemoryCanvas,
+} from "../testing.js";
+
+environmentTestingHooks({ beforeEach, afterEach }, () => ({
+  images: cardTestingImages(),
+}));
+
+const alphaAt = (inCanvasElement, inX, inY) => {
+  return canvasPixelAt(inCanvasElement, inX, inY)[3];
+};
+
+const coveredCounting = (inCanvasElement) => {
+  let covered = 0;
+  for (let y = 2; y < 80; y += 4) {
+    for (let x = 2; x < 120; x += 4) {
+      covered += alphaAt(inCanvasElement, x, y) === 255 ? 1 : 0;
+    }
+  }
+
+  return covered;
+};
+
+test("wipe clears a circle growing from the card centre", async () => {
+  const { canvasElement, card } = await cardTestingBuilding();
+  const revealing = card.revealAll({
+    effect: "wipe",
+    duration: 100,
+    easing: "linear",
+  });
+  await environment().clock.advance(50);
+
+  assert.equal(alphaAt(canvasElement, 60, 40), 0);
+  assert.equal(alphaAt(canvasElement, 2, 2), 255);
+  assert.equal(alphaAt(canvasElement, 117, 77), 255);
+
+  await environment().clock.advance(100);
+  assert.deepEqual(await revealing, [true]);
+  assert.equal(alphaAt(canvasElement, 2, 2), 0);
+  assert.equal(card.getProgress(), 100);
+  card.destroy();
+});
+
+test("dissolve clears the cover in scattered cells", async () => {
+  const { canvasElement, card } = await cardTestingBuilding();
+  const total = coveredCounting(canvasElement);
+  card.revealAll({ effect: "dissolve", duration: 100, easing: "linear" });
+  await environment().clock.advance(50);
+
+  const covered = coveredCounting(canvasElement);
+  assert.ok(covered > total * 0.2 && covered < total * 0.8);
+
+  await environment().clock.advance(100);
+  assert.equal(coveredCounting(canvasElement), 0);
+  card.destroy();
+});
+
+test("sand bursts the cover into grains on the scene", async () => {
+  const scene = new Scene(new Canvas(new MemoryCanvas(120, 80)));
+  const ticker = new Ticker(1000 / 60, (dt) => scene.render(dt));
+  ticker.idleWhenEmpty(scene).run();
+  const { canvasElement, card } = await cardTestingBuilding();
+  const revealing = card.revealAll({
+    effect: "sand",
+    duration: 100,
+    scene,
+    ticker,
+    colors: ["#f00"],
+  });
+
+  assert.equal(scene.isEmpty(), false);
+  await environment().clock.advance(150);
+  assert.deepEqual(await revealing, [true]);
+  assert.equal(coveredCounting(canvasElement), 0);
+  card.destroy();
+  ticker.stop();
+});
+
+test("an unknown effect throws a clear error", async () => {
+  await assert.rejects(
+    cardTestingBuilding({ reachPercent: 20, finish: { effect: "melt" } }),
+    /unknown finish effect melt/
+  );
+
+  const { card } = await cardTestingBuilding();
+  assert.throws(
+    () => card.revealAll({ effect: "melt" }),
+    /unknown finish effect melt/
+  );
+  card.destroy();
+});
+
+test("destroy during a finish settles revealAll with false", async () => {
+  const revealedLayers = [];
+  const { card } = await cardTestingBuilding({
+    layerRevealedHandler: (inIndex) => revealedLayers.push(inIndex),
+  });
+  const revealing = card.revealAll({ effect: "fade", duration: 1000 });
+  await environment().clock.advanceFrames(2);
+  card.destroy();
+
+  assert.deepEqual(await revealing, [false]);
+  assert.equal(environment().clock.pendingCount(), 0);
+  assert.deepEqual(revealedLayers, []);
+});
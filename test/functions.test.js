@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import { environment, once, throttle, truthy } from "../index.js";
+import { environmentTestingHooks } from "../testing.js";
+
+environmentTestingHooks({ beforeEach, afterEach });
+
+test("truthy calls the function only for truthy values", () => {
+  assert.equal(
+    truthy(1, () => "called"),
+    "called"
+  );
+  assert.equal(
+    truthy(0, () => "called"),
+    undefined
+  );
+});
+
+test("once keeps the first result", () => {
+  let calls = 0;
+  const onceFn = once((value) => {
+    calls++;
+    return value * 2;
+  });
+
+  assert.equal(onceFn(2), 4);
+  assert.equal(onceFn(5), 4);
+  assert.equal(calls, 1);
+});
+
+test("throttle repeats the last result until the time passes", async () => {
+  let calls = 0;
+  const throttled = throttle(() => ++calls, 100);
+
+  assert.equal(throttled(), 1);
+  await environment().clock.advance(50);
+  assert.equal(throttled(), 1);
+  await environment().clock.advance(60);
+  assert.equal(throttled(), 2);
+});
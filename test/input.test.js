@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import { Canvas, environment, InputManager, Rect, Scene } from "../index.js";
+import {
+  environmentTestingHooks,
+  MemoryCanvas,
+  pointerEventBuilding,
+} from "../testing.js";
+
+environmentTestingHooks({ beforeEach, afterEach });
+
+const inputBuilding = (inOptions) => {
+  const canvasElement = new MemoryCanvas(100, 100);
+  const canvas = new Canvas(canvasElement);
+  const scene = new Scene(canvas);
+  const input = new InputManager(canvas, scene, inOptions).watch();
+  const gestures = [];
+  ["tap", "doubletap", "longpress", "dragstart", "dragend", "swipe"].forEach(
+    (type) => input.on(type, (gesture) => gestures.push(gesture))
+  );
+  const pointing = (inType, inX, inY, inPointerId = 1) =>
+    canvasElement.dispatchEvent(
+      pointerEventBuilding(inType, {
+        clientX: inX,
+        clientY: inY,
+        pointerId: inPointerId,
+      })
+    );
+  return { scene, input, gestures, pointing };
+};
+
+const typesOf = (inGestures) => {
+  return inGestures.map((gesture) => gesture.type());
+};
+
+test("quick presses tap and a second one soon after double-taps", async () => {
+  const { input, gestures, pointing } = inputBuilding();
+  pointing("pointerdown", 20, 20);
+  await environment().clock.advance(100);
+  pointing("pointerup", 24, 20);
+  await environment().clock.advance(200);
+  pointing("pointerdown", 30, 20);
+  pointing("pointerup", 30, 20);
+
+  assert.deepEqual(typesOf(gestures), ["tap", "tap", "doubletap"]);
+
+  await environment().clock.advance(400);
+  pointing("pointerdown", 30, 20);
+  pointing("pointerup", 30, 20);
+  assert.deepEqual(typesOf(gestures.slice(3)), ["tap"]);
+  input.destroy();
+});
+
+test("slow or far taps do not count", async () => {
+  const { input, gestures, pointing } = inputBuilding({ tapMs: 100 });
+  pointing("pointerdown", 20, 20);
+  await environment().clock.advance(150);
+  pointing("pointerup", 20, 20);
+  pointing("pointerdown", 20, 20);
+  pointing("pointerup", 50, 20);
+
+  assert.equal(typesOf(gestures).includes("tap"), false);
+  input.destroy();
+});
+
+test("holding still long-presses instead of tapping", async () => {
+  const { input, gestures, pointing } = inputBuilding({ longPressMs: 300 });
+  pointing("pointerdown", 20, 20);
+  await environment().clock.advance(299);
+  assert.deepEqual(gestures, []);
+
+  await environment().clock.advance(1);
+  pointing("pointermove", 60, 20);
+  pointing("pointerup", 60, 20);
+  assert.deepEqual(typesOf(gestures), ["longpress"]);
+  assert.equal(gestures[0].durationMs(), 0);
+  assert.equal(environment().clock.pendingCount(), 0);
+  input.destroy();
+});
+
+test("a quick drag swipes and a resting one does not", async () => {
+  const { input, gestures, pointing } = inputBuilding();
+  pointing("pointerdown", 10, 50);
+  await environment().clock.advance(16);
+  pointing("pointermove", 40, 50);
+  await environment().clock.advance(16);
+  pointing("pointerup", 70, 50);
+
+  assert.deepEqual(typesOf(gestures), ["dragstart", "dragend", "swipe"]);
+  const swipe = gestures.at(-1);
+  assert.equal(swipe.direction(), "right");
+  assert.deepEqual(swipe.delta(), [0, 60]);
+  assert.ok(swipe.velocity()[1] >= 0.5);
+
+  gestures.length = 0;
+  pointing("pointerdown", 50, 10);
+  await environment().clock.advance(16);
+  pointing("pointermove", 50, 60);
+  await environment().clock.advance(200);
+  pointing("pointerup", 50, 60);
+  assert.deepEqual(typesOf(gestures), ["dragstart", "dragend"]);
+  assert.equal(gestures[0].direction(), "down");
+  input.destroy();
+});
+
+test("gestures reach subscriptions for the node they started on", () => {
+  const { scene, input, pointing } = inputBuilding();
+  const badge = new Rect(20, 20, 0, 0);
+  scene.addObject(badge);
+  const taps = [];
+  input.on("tap", (gesture) => taps.push(gesture.target()), badge);
+  pointing("pointerdown", 80, 80);
+  pointing("pointerup", 80, 80);
+  pointing("pointerdown", 10, 10);
+  pointing("pointerup", 10, 10);
+
+  assert.deepEqual(taps, [badge]);
+  input.destroy();
+});
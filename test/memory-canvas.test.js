@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { MemoryCanvas, memoryColorParsing } from "../testing.js";
+
+const pixelAt = (inCanvasCtx, inX, inY) => {
+  return [...inCanvasCtx.getImageData(inX, inY, 1, 1).data];
+};
+
+test("colours parse from hex, rgb() and names", () => {
+  assert.deepEqual(memoryColorParsing("#f00"), [255, 0, 0, 255]);
+  assert.deepEqual(memoryColorParsing("#00ff0080"), [0, 255, 0, 128]);
+  assert.deepEqual(
+    memoryColorParsing("rgba(0, 0, 255, 0.5)"),
+    [0, 0, 255, 128]
+  );
+  assert.deepEqual(memoryColorParsing("transparent"), [0, 0, 0, 0]);
+});
+
+test("destination-out erases to transparent zeros", () => {
+  const canvasCtx = new MemoryCanvas(20, 20).getContext("2d");
+  canvasCtx.fillStyle = "#c0392b";
+  canvasCtx.fillRect(0, 0, 20, 20);
+  canvasCtx.globalCompositeOperation = "destination-out";
+  canvasCtx.beginPath();
+  canvasCtx.arc(10, 10, 5, 0, 2 * Math.PI);
+  canvasCtx.fill();
+
+  assert.deepEqual(pixelAt(canvasCtx, 10, 10), [0, 0, 0, 0]);
+  assert.deepEqual(pixelAt(canvasCtx, 1, 1), [192, 57, 43, 255]);
+});
+
+test("transforms apply to fills and images", () => {
+  const image = new MemoryCanvas(2, 2);
+  image.getContext("2d").fillStyle = "#0f0";
+  image.getContext("2d").fillRect(0, 0, 2, 2);
+  const canvasCtx = new MemoryCanvas(20, 20).getContext("2d");
+  canvasCtx.setTransform(2, 0, 0, 2, 0, 0);
+  canvasCtx.drawImage(image, 5, 5);
+
+  assert.deepEqual(pixelAt(canvasCtx, 11, 11), [0, 255, 0, 255]);
+  assert.equal(pixelAt(canvasCtx, 9, 9)[3], 0);
+  assert.equal(canvasCtx.getTransform().a, 2);
+});
+
+test("resizing the canvas clears pixels and context state", () => {
+  const canvasElement = new MemoryCanvas(10, 10);
+  const canvasCtx = canvasElement.getContext("2d");
+  canvasCtx.fillRect(0, 0, 10, 10);
+  canvasCtx.translate(5, 5);
+  canvasElement.width = 20;
+
+  assert.equal(canvasElement.width, 20);
+  assert.deepEqual(pixelAt(canvasCtx, 1, 1), [0, 0, 0, 0]);
+  assert.equal(canvasCtx.getTransform().e, 0);
+});
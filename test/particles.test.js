@@ -0,0 +1,169 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import {
+  Canvas,
+  environment,
+  FallingSand,
+  Palette,
+  ParticleEmitter,
+  Physics,
+  randomSeeded,
+  Scene,
+  Ticker,
+} from "../index.js";
+import { environmentTestingHooks, MemoryCanvas } from "../testing.js";
+
+environmentTestingHooks({ beforeEach, afterEach });
+
+const particlesBuilding = () => {
+  const top = new Float32Array(1);
+  const left = new Float32Array(1);
+  const vx = new Float32Array(1);
+  const vy = new Float32Array(1);
+  const mass = new Float32Array([1]);
+  return { top, left, vx, vy, mass };
+};
+
+test("particles fall and rest on the floor", () => {
+  const physics = new Physics({ gravity: 100, drag: 0, floor: 50 });
+  const particles = particlesBuilding();
+  physics.stepAt(particles, 0, 0.5);
+
+  assert.equal(particles.vy[0], 50);
+  assert.equal(particles.top[0], 25);
+
+  physics.stepAt(particles, 0, 1);
+  assert.equal(particles.top[0], 50);
+  assert.ok(particles.vy[0] < 0);
+});
+
+test("the emitter draws live particles and frees them after their life", async () => {
+  const canvasElement = new MemoryCanvas(40, 40);
+  const scene = new Scene(new Canvas(canvasElement));
+  const ticker = new Ticker(1000 / 60, (dt) => scene.render(dt));
+  ticker.idleWhenEmpty(scene).run();
+  const emitter = ParticleEmitter.of(scene, ticker);
+  const physics = new Physics({ gravity: 0, drag: 0 });
+  emitter.emit(10, 10, 2, "#f00", [0, 0], 1, physics, 0, 100);
+  emitter.emit(30, 30, 2, "#00f", [0, 0], 1, physics, 50, 100);
+
+  assert.equal(emitter.liveCount(), 2);
+  assert.equal(ParticleEmitter.of(scene, ticker), emitter);
+
+  await environment().clock.advanceFrames(2);
+  const pixels = canvasElement.getContext("2d");
+  assert.deepEqual(
+    [...pixels.getImageData(10, 10, 1, 1).data],
+    [255, 0, 0, 255]
+  );
+  assert.equal(pixels.getImageData(30, 30, 1, 1).data[3], 0);
+
+  await environment().clock.advanceFrames(6);
+  assert.deepEqual(
+    [...pixels.getImageData(30, 30, 1, 1).data],
+    [0, 0, 255, 255]
+  );
+
+  await environment().clock.advance(200);
+  assert.equal(emitter.liveCount(), 0);
+  assert.equal(scene.isEmpty(), true);
+  assert.equal(ticker.isIdle(), true);
+  ticker.stop();
+});
+
+test("palette slots are reused once released", () => {
+  const palette = new Palette(2);
+  assert.equal(palette.index("#f00"), 1);
+  assert.equal(palette.index("#0f0"), 2);
+  assert.equal(palette.index("#f00"), 1);
+  assert.equal(palette.index("#00f"), 2);
+
+  palette.release(1);
+  assert.equal(palette.item(1), "#f00");
+  palette.release(1);
+  assert.equal(palette.item(1), null);
+  assert.equal(palette.index("#ff0"), 1);
+  assert.equal(palette.item(1), "#ff0");
+  assert.equal(palette.count(), 2);
+  assert.equal(palette.size(), 2);
+});
+
+test("new colours get their own slot after older grains die", async () => {
+  const canvasElement = new MemoryCanvas(40, 40);
+  const scene = new Scene(new Canvas(canvasElement));
+  const ticker = new Ticker(1000 / 60, (dt) => scene.render(dt));
+  ticker.idleWhenEmpty(scene).run();
+  const emitter = ParticleEmitter.of(scene, ticker);
+  const physics = new Physics({ gravity: 0, drag: 0 });
+  for (let i = 0; i < 300; i++) {
+    emitter.emit(5, 5, 2, `rgb(${i % 256}, 1, 1)`, [0, 0], 1, physics, 0, 50);
+  }
+  await environment().clock.advance(200);
+  assert.equal(emitter.liveCount(), 0);
+
+  emitter.emit(20, 20, 2, "#0f0", [0, 0], 1, physics, 0, 100);
+  await environment().clock.advanceFrames(1);
+  assert.deepEqual(
+    [...canvasElement.getContext("2d").getImageData(20, 20, 1, 1).data],
+    [0, 255, 0, 255]
+  );
+  ticker.stop();
+});
+
+test("sand streams share the default physics", () => {
+  assert.equal(Physics.shared(), Physics.shared());
+});
+
+const pileBuilding = (inMaxGrains = 8000) => {
+  const canvas = new Canvas(new MemoryCanvas(40, 40));
+  const pile = new FallingSand(canvas, 2, 40, inMaxGrains, 2, randomSeeded(1));
+  return { canvas, pile };
+};
+
+const pileSettling = (inPile) => {
+  new Array(200).fill(0).forEach(() => inPile.step());
+};
+
+const pileAlphaAt = (inCanvas, inX, inY) => {
+  return inCanvas.context().getImageData(inX, inY, 1, 1).data[3];
+};
+
+test("every poured grain drops in and heaps up along the bottom", () => {
+  const { canvas, pile } = pileBuilding();
+  pile.pour(0, 0, 40, 200, ["#f00", "#00f"]);
+  assert.equal(pile.grainsCount() + pile.pouringCount(), 200);
+  assert.ok(pile.pouringCount() > 0);
+
+  pileSettling(pile);
+  assert.equal(pile.grainsCount(), 200);
+  assert.equal(pile.pouringCount(), 0);
+
+  pile.render(canvas);
+  new Array(20).fill(0).forEach((_, column) => {
+    assert.equal(pileAlphaAt(canvas, column * 2, 39), 255);
+  });
+  assert.equal(pileAlphaAt(canvas, 20, 1), 0);
+});
+
+test("the pile stops taking grains at maxGrains", () => {
+  const { pile } = pileBuilding(50);
+  pile.pour(0, 0, 40, 200, ["#f00"]);
+  pileSettling(pile);
+  pile.pour(0, 0, 40, 10, ["#f00"]);
+  pileSettling(pile);
+
+  assert.equal(pile.grainsCount(), 50);
+  assert.equal(pile.pouringCount(), 0);
+});
+
+test("sweep empties the pile and the grains still waiting", () => {
+  const { canvas, pile } = pileBuilding();
+  pile.pour(0, 0, 40, 200, ["#f00"]);
+  pile.step().sweep();
+
+  assert.equal(pile.grainsCount(), 0);
+  assert.equal(pile.pouringCount(), 0);
+  pileSettling(pile);
+  pile.render(canvas);
+  assert.equal(pileAlphaAt(canvas, 20, 39), 0);
+});
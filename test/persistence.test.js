@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  persistenceLocalStorageStore,
+  persistenceMemoryStore,
+  persistenceRunLengthDecoding,
+  persistenceRunLengthEncoding,
+} from "../index.js";
+
+test("run-length encoding round-trips long and short runs", () => {
+  const values = new Uint8Array(40000);
+  values.fill(15, 0, 200);
+  values.fill(7, 200, 201);
+  values.fill(15, 30000);
+  const encoded = persistenceRunLengthEncoding(values);
+
+  assert.ok(encoded.length < 20);
+  assert.deepEqual(
+    persistenceRunLengthDecoding(encoded, values.length),
+    values
+  );
+  assert.equal(persistenceRunLengthDecoding(encoded, values.length - 1), null);
+  assert.equal(persistenceRunLengthDecoding(encoded, values.length + 1), null);
+});
+
+test("stores keep copies keyed by card id", async () => {
+  const items = new Map();
+  const storage = {
+    getItem: (inKey) => items.get(inKey) ?? null,
+    setItem: (inKey, inValue) => items.set(inKey, inValue),
+    removeItem: (inKey) => items.delete(inKey),
+  };
+  const snapshot = { version: 1, layers: [{ revealed: true }] };
+
+  for (const store of [
+    persistenceMemoryStore(),
+    persistenceLocalStorageStore(storage, "cards:"),
+  ]) {
+    assert.equal(await store.load("ticket-1"), null);
+    await store.save("ticket-1", snapshot);
+    snapshot.layers[0].revealed = false;
+    assert.deepEqual(await store.load("ticket-1"), {
+      version: 1,
+      layers: [{ revealed: true }],
+    });
+    await store.remove("ticket-1");
+    assert.equal(await store.load("ticket-1"), null);
+    snapshot.layers[0].revealed = true;
+  }
+  assert.deepEqual([...items.keys()], []);
+});
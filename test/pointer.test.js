@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import { pointerPosition } from "../index.js";
+import {
+  canvasPixelAt,
+  cardTestingBuilding,
+  cardTestingImages,
+  environmentTestingHooks,
+  MemoryCanvas,
+  strokeTestingScratching,
+} from "../testing.js";
+
+environmentTestingHooks({ beforeEach, afterEach }, () => ({
+  images: cardTestingImages(),
+}));
+
+const elementBuilding = (inRect) => {
+  return { width: 400, height: 200, getBoundingClientRect: () => inRect };
+};
+
+test("client coordinates map through the element box to the card size", () => {
+  const element = elementBuilding({
+    left: 10,
+    top: 20,
+    width: 200,
+    height: 100,
+  });
+
+  assert.deepEqual(
+    pointerPosition({ clientX: 110, clientY: 70 }, element, {
+      width: 100,
+      height: 50,
+    }),
+    { x: 50, y: 25 }
+  );
+  assert.deepEqual(pointerPosition({ clientX: 60, clientY: 45 }, element), {
+    x: 100,
+    y: 50,
+  });
+  assert.deepEqual(
+    pointerPosition(
+      { clientX: 60, clientY: 45 },
+      elementBuilding({ left: 0, top: 0, width: 0, height: 0 })
+    ),
+    { x: 0, y: 0 }
+  );
+});
+
+test("a card shown at half size scratches where the pointer is", async () => {
+  const canvasElement = new MemoryCanvas(120, 80);
+  canvasElement.clientWidth = 60;
+  canvasElement.clientHeight = 40;
+  const { card } = await cardTestingBuilding({ canvasElement });
+  await strokeTestingScratching(canvasElement, 20, 0, 60);
+
+  assert.equal(canvasElement.width, 60);
+  assert.equal(canvasPixelAt(canvasElement, 30, 20)[3], 0);
+  assert.equal(canvasPixelAt(canvasElement, 30, 2)[3], 255);
+  assert.ok(card.getProgress() > 20 && card.getProgress() < 30);
+  card.destroy();
+});
@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, beforeEach, test } from "node:test";
+import { environment, prizeHttpProvider } from "../index.js";
+import { prizeServerStarting } from "../prize-server.js";
+import {
+  canvasPixelAt,
+  cardTestingBuilding,
+  cardTestingImages,
+  environmentTestingHooks,
+  pointerEventBuilding,
+  strokeTestingScratching,
+} from "../testing.js";
+
+let server;
+
+before(async () => {
+  server = await prizeServerStarting({
+    port: 0,
+    secret: "test-secret",
+    prizes: [{ text: "100", value: 100 }],
+  });
+});
+
+after(() => server.close());
+
+environmentTestingHooks({ beforeEach, afterEach }, () => ({
+  images: cardTestingImages(),
+  fetch: globalThis.fetch,
+}));
+
+const providerBuilding = (inCalls) => {
+  return {
+    fetchPrize: (inId) => {
+      inCalls.push(["fetch", inId]);
+      return Promise.resolve({ text: "100", value: 100, token: "signed" });
+    },
+    reportReveal: (inToken, inDetails) => {
+      inCalls.push(["report", inToken, inDetails.id]);
+      return Promise.resolve({ ok: true });
+    },
+  };
+};
+
+test("the mock server signs prizes and accepts each reveal once", async () => {
+  const provider = prizeHttpProvider(`${server.url}/api/`);
+  const prize = await provider.fetchPrize("card 1");
+
+  assert.equal(prize.text, "100");
+  assert.equal(prize.value, 100);
+  assert.deepEqual(await provider.reportReveal(prize.token, { percent: 70 }), {
+    ok: true,
+    first: true,
+    cardId: "card 1",
+    value: 100,
+  });
+  assert.equal((await provider.reportReveal(prize.token)).first, false);
+  assert.equal(server.reveals.get("card 1").percent, 70);
+  await assert.rejects(
+    provider.reportReveal(`${prize.token.split(".")[0]}.forged`),
+    /prize request failed with 400/
+  );
+});
+
+test("the mock server rejects bad escapes and dotfiles", async () => {
+  const statusFetching = (inPath) =>
+    fetch(`${server.url}${inPath}`).then((response) => response.status);
+
+  assert.equal(await statusFetching("/api/prizes/%E0%A4%A"), 400);
+  assert.equal(await statusFetching("/%E0%A4%A"), 400);
+  assert.equal(await statusFetching("/.git/HEAD"), 403);
+  assert.equal(await statusFetching("/test/%2Egitkeep"), 403);
+  assert.equal(await statusFetching("/package.json"), 200);
+});
+
+test("the mock server rejects reports that are not an object with a token", async () => {
+  const statusReporting = (inBody) =>
+    fetch(`${server.url}/api/reveals`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: inBody,
+    }).then((response) => response.status);
+
+  assert.equal(await statusReporting("null"), 400);
+  assert.equal(await statusReporting("42"), 400);
+  assert.equal(await statusReporting('["token"]'), 400);
+  assert.equal(await statusReporting('{"token": 5}'), 400);
+  assert.equal(await statusReporting("{"), 400);
+});
+
+test("the prize is fetched and drawn only past minPercent", async () => {
+  const calls = [];
+  const revealed = [];
+  const { canvasElement, card } = await cardTestingBuilding({
+    prize: {
+      provider: providerBuilding(calls),
+      id: "ticket-9",
+      minPercent: 10,
+      background: "#00ff00",
+      revealedHandler: (inPrize) => revealed.push(inPrize.value),
+    },
+  });
+  assert.deepEqual(calls, []);
+
+  const moving = async (inX) => {
+    canvasElement.dispatchEvent(
+      pointerEventBuilding("pointermove", { clientX: inX, clientY: 40 })
+    );
+    await environment().clock.advanceFrames(1);
+  };
+  canvasElement.dispatchEvent(
+    pointerEventBuilding("pointerdown", { clientX: 10, clientY: 40 })
+  );
+  await moving(10);
+  await moving(20);
+  assert.deepEqual(calls, []);
+  assert.ok(card.getProgress() < 10);
+  assert.deepEqual(canvasPixelAt(canvasElement, 10, 40), [0, 0, 0, 0]);
+
+  for (let x = 30; x <= 110; x += 10) {
+    await moving(x);
+  }
+  assert.ok(card.getProgress() >= 10);
+  assert.deepEqual(calls, [["fetch", "ticket-9"]]);
+  assert.deepEqual(canvasPixelAt(canvasElement, 10, 40), [0, 255, 0, 255]);
+  assert.deepEqual(canvasPixelAt(canvasElement, 60, 5), [192, 57, 43, 255]);
+
+  await card.revealAll();
+  await environment().clock.advanceFrames(1);
+  assert.deepEqual(canvasPixelAt(canvasElement, 60, 5), [0, 255, 0, 255]);
+  assert.deepEqual(calls.at(-1), ["report", "signed", "ticket-9"]);
+  assert.deepEqual(revealed, [100]);
+  card.destroy();
+});
+
+test("a card without finish reports the prize at reachPercent", async () => {
+  const calls = [];
+  const reached = [];
+  const { canvasElement, card } = await cardTestingBuilding({
+    reachPercent: 50,
+    reachPercentHandler: (inPercent) => reached.push(inPercent),
+    prize: { provider: providerBuilding(calls), id: "ticket-3" },
+  });
+  for (let y = 10; y <= 70; y += 20) {
+    await strokeTestingScratching(canvasElement, y, 0, 120);
+  }
+
+  assert.ok(card.getProgress() >= 50);
+  assert.ok(reached.length > 0);
+  assert.deepEqual(
+    calls.filter(([kind]) => kind === "report"),
+    [["report", "signed", "ticket-3"]]
+  );
+  card.destroy();
+});
@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import {
+  randomPicking,
+  randomSeeded,
+  randomSource,
+  RandomNumber,
+} from "../index.js";
+import { environmentTestingHooks } from "../testing.js";
+
+environmentTestingHooks({ beforeEach, afterEach }, { seed: 7 });
+
+const valuesTaking = (inRandom, inCount) => {
+  return Array.from({ length: inCount }, () => inRandom());
+};
+
+test("the same seed repeats the same sequence", () => {
+  const values = valuesTaking(randomSeeded(42), 100);
+
+  assert.deepEqual(valuesTaking(randomSeeded(42), 100), values);
+  assert.notDeepEqual(valuesTaking(randomSeeded(43), 100), values);
+  assert.ok(values.every((value) => value >= 0 && value < 1));
+  assert.deepEqual(
+    valuesTaking(randomSeeded("card-1"), 10),
+    valuesTaking(randomSeeded("card-1"), 10)
+  );
+});
+
+test("sources prefer an explicit random, then a seed, then the environment", () => {
+  const fixed = () => 0.5;
+
+  assert.equal(randomSource({ random: fixed, seed: 1 }), fixed);
+  assert.equal(randomSource({ seed: 1 })(), randomSeeded(1)());
+  assert.equal(randomSource()(), randomSeeded(7)());
+});
+
+test("picking and RandomNumber read the given source", () => {
+  assert.equal(
+    randomPicking(() => 0.99, ["a", "b", "c"]),
+    "c"
+  );
+  assert.equal(Number(new RandomNumber(10, 4, () => 0.5)), 12);
+});
@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import {
+  Canvas,
+  Circle,
+  environment,
+  Group,
+  Rect,
+  Scene,
+  Ticker,
+} from "../index.js";
+import { environmentTestingHooks, MemoryCanvas } from "../testing.js";
+
+environmentTestingHooks({ beforeEach, afterEach });
+
+const pixelAt = (inCanvas, inX, inY) => {
+  return [...inCanvas.context().getImageData(inX, inY, 1, 1).data];
+};
+
+test("objects with a higher zIndex are drawn on top", () => {
+  const canvas = new Canvas(new MemoryCanvas(40, 40));
+  const scene = new Scene(canvas);
+  scene.layer("top", 10).addObject(new Rect(20, 20, 0, 0, "#00f"));
+  scene.addObject(new Rect(40, 40, 0, 0, "#f00"));
+  scene.render();
+
+  assert.deepEqual(pixelAt(canvas, 5, 5), [0, 0, 255, 255]);
+  assert.deepEqual(pixelAt(canvas, 30, 30), [255, 0, 0, 255]);
+});
+
+test("group opacity multiplies into its children", () => {
+  const canvas = new Canvas(new MemoryCanvas(20, 20));
+  const scene = new Scene(canvas);
+  const group = new Group().setOpacity(0.5);
+  group.addObject(new Rect(20, 20, 0, 0, "#000"));
+  scene.addObject(group);
+  scene.render();
+
+  assert.equal(pixelAt(canvas, 10, 10)[3], 128);
+});
+
+test("hit-testing follows rotation", () => {
+  const scene = new Scene(new Canvas(new MemoryCanvas(100, 100)));
+  const badge = new Group(50, 50).setRotation(45);
+  const rect = new Rect(40, 10, -5, -20, "gold");
+  badge.addObject(rect);
+  scene.addObject(badge);
+  scene.addObject(new Circle(10, 90, 90));
+
+  assert.equal(scene.hitTest(50, 50), rect);
+  assert.equal(scene.hitTest(36, 36), rect);
+  assert.equal(scene.hitTest(50, 68), null);
+});
+
+test("a ticker idles while its scene is empty", async () => {
+  const scene = new Scene(new Canvas(new MemoryCanvas(10, 10)));
+  const deltas = [];
+  const ticker = new Ticker(1000 / 60, (dt) => deltas.push(dt));
+  ticker.idleWhenEmpty(scene).run();
+  await environment().clock.advanceFrames(3);
+
+  assert.equal(ticker.isIdle(), true);
+  assert.equal(deltas.length, 0);
+
+  scene.addObject(new Rect(1, 1, 0, 0));
+  await environment().clock.advanceFrames(3);
+  assert.equal(deltas.length, 3);
+  ticker.stop();
+});
+
+test("a ticker scales time and stops while the page is hidden", async () => {
+  const deltas = [];
+  const ticker = new Ticker(1000 / 60, (dt) => deltas.push(dt));
+  ticker.setTimeScale(0.5).run();
+  await environment().clock.advanceFrames(2);
+
+  assert.deepEqual(deltas, [1000 / 120, 1000 / 120]);
+
+  environment().setHidden(true);
+  await environment().clock.advanceFrames(3);
+  assert.equal(deltas.length, 3);
+  assert.equal(ticker.isIdle(), true);
+
+  environment().setHidden(false);
+  await environment().clock.advanceFrames(1);
+  assert.equal(deltas.length, 4);
+  ticker.stop();
+  assert.equal(environment().clock.pendingCount(), 0);
+});
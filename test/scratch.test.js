@@ -0,0 +1,342 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import {
+  Canvas,
+  environment,
+  environmentSetting,
+  persistenceMemoryStore,
+  Physics,
+  randomSeeded,
+  sandDustHandler,
+  Scene,
+  scratchImagesLoading,
+  Ticker,
+} from "../index.js";
+import {
+  canvasPixelAt,
+  cardTestingBuilding,
+  cardTestingImages,
+  environmentTesting,
+  environmentTestingHooks,
+  MemoryCanvas,
+  pointerEventBuilding,
+  strokeTestingScratching,
+} from "../testing.js";
+
+environmentTestingHooks({ beforeEach, afterEach }, () => ({
+  images: cardTestingImages(),
+}));
+
+const alphaAt = (inCanvasElement, inX, inY) => {
+  return canvasPixelAt(inCanvasElement, inX, inY)[3];
+};
+
+test("the cover is drawn before any scratching", async () => {
+  const { canvasElement, card } = await cardTestingBuilding();
+
+  assert.equal(alphaAt(canvasElement, 60, 40), 255);
+  assert.equal(card.getProgress(), 0);
+  card.destroy();
+});
+
+test("a stroke erases the cover and tracks the percent", async () => {
+  const dustPercents = [];
+  const reached = [];
+  const { canvasElement, card } = await cardTestingBuilding({
+    reachPercent: 20,
+    reachPercentHandler: (inPercent) => reached.push(inPercent),
+    dustHandler: (inPercent) => dustPercents.push(inPercent),
+  });
+  await strokeTestingScratching(canvasElement, 40, 0, 120);
+
+  assert.equal(alphaAt(canvasElement, 60, 40), 0);
+  assert.equal(alphaAt(canvasElement, 60, 5), 255);
+  const progress = card.recountProgress();
+  assert.ok(progress.tracked > 20 && progress.tracked < 30);
+  assert.ok(Math.abs(progress.tracked - Number(progress.exact)) < 3);
+  assert.ok(Math.abs(progress.tracked - (await card.exactProgress())) < 3);
+  assert.ok(reached.length > 0 && reached[0] >= 20);
+  assert.equal(
+    Math.round(dustPercents.reduce((sum, percent) => sum + percent, 0)),
+    Math.round(progress.tracked)
+  );
+  card.destroy();
+});
+
+test("the same seed and strokes give the same pixels", async () => {
+  const pixelsScratching = async (inSeed) => {
+    const { canvasElement, card } = await cardTestingBuilding({
+      seed: inSeed,
+      cover: [{ type: "foil" }],
+      scratchImages: scratchImagesLoading(["./bar.svg"]),
+    });
+    await strokeTestingScratching(canvasElement, 40, 0, 120);
+    card.destroy();
+    return canvasElement.pixels();
+  };
+  const pixels = await pixelsScratching(42);
+
+  assert.deepEqual(await pixelsScratching(42), pixels);
+  assert.notDeepEqual(await pixelsScratching(43), pixels);
+});
+
+test("dust particles follow the card seed", async () => {
+  const dustScratching = async (inSeed, inHandlerSeed) => {
+    // grains live on the clock, each run starts from a fresh one
+    environmentSetting(environmentTesting({ images: cardTestingImages() }));
+    const dustElement = new MemoryCanvas(120, 80);
+    const scene = new Scene(new Canvas(dustElement));
+    const ticker = new Ticker(1000 / 60, (dt) => scene.render(dt));
+    ticker.idleWhenEmpty(scene).run();
+    const { canvasElement, card } = await cardTestingBuilding({
+      seed: inSeed,
+      dustHandler: sandDustHandler(
+        scene,
+        ticker,
+        ["#f00", "#0f0", "#00f"],
+        new Physics({ gravity: 0 }),
+        randomSeeded(inHandlerSeed)
+      ),
+    });
+    await strokeTestingScratching(canvasElement, 40, 0, 120);
+    await environment().clock.advanceFrames(10);
+    card.destroy();
+    ticker.stop();
+    return dustElement.pixels();
+  };
+  const pixels = await dustScratching(42, 1);
+
+  assert.deepEqual(await dustScratching(42, 2), pixels);
+  assert.notDeepEqual(await dustScratching(43, 1), pixels);
+});
+
+test("a recorded session replays to the same pixels and dust", async () => {
+  const replayCardBuilding = (inDustPercents) =>
+    cardTestingBuilding({
+      seed: 5,
+      cover: [{ type: "foil" }],
+      scratchImages: scratchImagesLoading(["./bar.svg"]),
+      dustHandler: (inPercent) => inDustPercents.push(inPercent),
+    });
+  const recordedDust = [];
+  const recorded = await replayCardBuilding(recordedDust);
+  recorded.card.startRecording();
+  await strokeTestingScratching(recorded.canvasElement, 30, 0, 120);
+  await strokeTestingScratching(recorded.canvasElement, 50, 120, 200);
+  const session = JSON.parse(JSON.stringify(recorded.card.stopRecording()));
+  recorded.card.destroy();
+
+  assert.equal(session.version, 1);
+  assert.equal(session.options.seed, 5);
+  assert.deepEqual(session.events[0].slice(1, 5), ["d", 1, 0, 30]);
+
+  const instantDust = [];
+  const instant = await replayCardBuilding(instantDust);
+  const replaying = instant.card.replay(session, { speed: Infinity });
+  // the card is reset before the events play
+  await environment().clock.advance(0);
+  await environment().clock.advanceFrames(2);
+  assert.equal(await replaying, true);
+  assert.deepEqual(
+    instant.canvasElement.pixels(),
+    recorded.canvasElement.pixels()
+  );
+  assert.deepEqual(instantDust, recordedDust);
+  instant.card.destroy();
+
+  const fastDust = [];
+  const fast = await replayCardBuilding(fastDust);
+  let finished = false;
+  fast.card.replay(session, { speed: 2 }).then(() => {
+    finished = true;
+  });
+  await environment().clock.advance(0);
+  const duration = session.events.at(-1)[0];
+  await environment().clock.advance(duration / 4);
+  assert.equal(finished, false);
+  await environment().clock.advance(duration / 4 + 50);
+  assert.equal(finished, true);
+  assert.deepEqual(
+    fast.canvasElement.pixels(),
+    recorded.canvasElement.pixels()
+  );
+  assert.deepEqual(fastDust, recordedDust);
+  fast.card.destroy();
+});
+
+test("a replay resets the card and takes the recorded options", async () => {
+  const dust = [];
+  const replayCardBuilding = (inStampSpacing) =>
+    cardTestingBuilding({
+      seed: 7,
+      cover: [{ type: "foil" }],
+      scratchImages: scratchImagesLoading(["./bar.svg"]),
+      stampSpacing: inStampSpacing,
+      dustHandler: (inPercent) => dust.push(inPercent),
+    });
+  const replayPlaying = async (inCard, inSession) => {
+    dust.splice(0);
+    const replaying = inCard.replay(inSession, { speed: Infinity });
+    await environment().clock.advance(0);
+    await environment().clock.advanceFrames(2);
+    assert.equal(await replaying, true);
+    return dust.slice();
+  };
+  const { canvasElement, card } = await replayCardBuilding(4);
+  card.startRecording();
+  await strokeTestingScratching(canvasElement, 30, 0, 120);
+  const session = card.stopRecording();
+  const pixels = canvasElement.pixels();
+  const progress = card.getProgress();
+  const recordedDust = dust.slice();
+  await strokeTestingScratching(canvasElement, 60, 0, 120);
+
+  assert.deepEqual(await replayPlaying(card, session), recordedDust);
+  assert.deepEqual(canvasElement.pixels(), pixels);
+  assert.equal(card.getProgress(), progress);
+  card.destroy();
+
+  const other = await replayCardBuilding(12);
+  assert.deepEqual(await replayPlaying(other.card, session), recordedDust);
+  assert.deepEqual(other.canvasElement.pixels(), pixels);
+  assert.throws(
+    () => other.card.replay(session, { speed: 0 }),
+    /replay speed must be above 0, got 0/
+  );
+  other.card.destroy();
+});
+
+test("zones report progress and reveal", async () => {
+  const revealed = [];
+  const { canvasElement, card } = await cardTestingBuilding({
+    zones: [
+      {
+        name: "prize",
+        rect: { top: 30, left: 40, width: 40, height: 20 },
+        reachPercent: 80,
+      },
+    ],
+    zonesRevealedHandler: (inNames) => revealed.push(...inNames),
+  });
+  await strokeTestingScratching(canvasElement, 40, 30, 90);
+
+  assert.ok(card.getZoneProgress("prize") >= 80);
+  assert.deepEqual(revealed, ["prize"]);
+  card.destroy();
+});
+
+test("revealAll plays the finish on the fake clock", async () => {
+  const revealedLayers = [];
+  const { canvasElement, card } = await cardTestingBuilding({
+    layerRevealedHandler: (inIndex) => revealedLayers.push(inIndex),
+  });
+  let finished = false;
+  card.revealAll({ effect: "fade", duration: 100 }).then(() => {
+    finished = true;
+  });
+  await environment().clock.advanceFrames(3);
+
+  const alpha = alphaAt(canvasElement, 60, 40);
+  assert.ok(alpha > 0 && alpha < 255);
+  assert.equal(finished, false);
+
+  await environment().clock.advance(100);
+  assert.equal(finished, true);
+  assert.equal(alphaAt(canvasElement, 60, 40), 0);
+  assert.equal(card.getProgress(), 100);
+  assert.deepEqual(revealedLayers, [0]);
+  card.destroy();
+});
+
+test("progress is saved while scratching and restored before input", async () => {
+  const store = persistenceMemoryStore();
+  const persistence = { store, id: "ticket-1", delay: 500 };
+  const first = await cardTestingBuilding({ persistence, reachPercent: 90 });
+  assert.equal(await first.card.ready(), false);
+  await strokeTestingScratching(first.canvasElement, 40, 0, 120);
+  assert.equal(await store.load("ticket-1"), null);
+
+  await environment().clock.advance(500);
+  const snapshot = await store.load("ticket-1");
+  assert.equal(snapshot.layers[0].revealed, false);
+  const progress = first.card.getProgress();
+  first.card.destroy();
+
+  const second = await cardTestingBuilding({ persistence, reachPercent: 90 });
+  assert.equal(await second.card.ready(), true);
+  assert.equal(second.card.getProgress(), progress);
+  assert.deepEqual(second.canvasElement.pixels(), first.canvasElement.pixels());
+  second.card.destroy();
+});
+
+test("a revealed card stays revealed after a reload", async () => {
+  const store = persistenceMemoryStore();
+  const persistence = { store, id: "ticket-2" };
+  const first = await cardTestingBuilding({ persistence });
+  await first.card.ready();
+  first.card.revealAll({ effect: "fade", duration: 1000 });
+  await environment().clock.advanceFrames(1);
+  first.card.destroy();
+
+  const second = await cardTestingBuilding({ persistence });
+  assert.equal(await second.card.ready(), true);
+  assert.equal(second.card.getProgress(), 100);
+  assert.equal(alphaAt(second.canvasElement, 60, 40), 0);
+  second.canvasElement.dispatchEvent(
+    pointerEventBuilding("pointerdown", { clientX: 60, clientY: 40 })
+  );
+  await environment().clock.advanceFrames(2);
+  assert.equal(second.card.getProgress(), 100);
+  second.card.destroy();
+});
+
+test("paused and destroyed cards ignore strokes", async () => {
+  const { canvasElement, card } = await cardTestingBuilding();
+  card.pause();
+  await strokeTestingScratching(canvasElement, 40, 0, 120);
+
+  assert.equal(card.getProgress(), 0);
+
+  card.resume();
+  card.destroy();
+  await strokeTestingScratching(canvasElement, 40, 0, 120);
+  assert.equal(card.getProgress(), 0);
+  assert.equal(environment().clock.pendingCount(), 0);
+});
+
+test("a resize keeps the scratched mask and the progress", async () => {
+  const { canvasElement, card } = await cardTestingBuilding();
+  await strokeTestingScratching(canvasElement, 40, 0, 120);
+  const progress = card.getProgress();
+  const pixel = canvasPixelAt(canvasElement, 60, 5);
+
+  canvasElement.clientWidth = 240;
+  canvasElement.clientHeight = 160;
+  environment().resize();
+  await environment().clock.advanceFrames(1);
+
+  assert.equal(canvasElement.width, 240);
+  assert.equal(card.getProgress(), progress);
+  assert.equal(alphaAt(canvasElement, 120, 80), 0);
+  assert.deepEqual(canvasPixelAt(canvasElement, 120, 10), pixel);
+  card.destroy();
+});
+
+test("a cover failing to load again on resize is not left unhandled", async () => {
+  const unhandled = [];
+  const unhandledListening = (inReason) => unhandled.push(inReason);
+  process.on("unhandledRejection", unhandledListening);
+  const { canvasElement, card } = await cardTestingBuilding({
+    cover: [{ type: "image", url: "./gone.png" }],
+  });
+
+  canvasElement.clientWidth = 240;
+  environment().resize();
+  await environment().clock.advanceFrames(2);
+  await new Promise((inResolve) => setImmediate(inResolve));
+  process.off("unhandledRejection", unhandledListening);
+
+  assert.equal(canvasElement.width, 240);
+  assert.deepEqual(unhandled, []);
+  card.destroy();
+});
@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  sessionBuilding,
+  sessionEventSample,
+  sessionParsing,
+  sessionRecorderBuilding,
+  sessionSampleRecording,
+} from "../index.js";
+
+test("samples are stored as compact events relative to the start", () => {
+  const recorder = sessionRecorderBuilding(
+    { width: 120, height: 80, dustHandler: () => {}, seed: "card" },
+    9,
+    1000
+  );
+  sessionSampleRecording(recorder, "d", {
+    pointerId: 2,
+    x: 10,
+    y: 20,
+    time: 1000,
+    pressure: null,
+  });
+  sessionSampleRecording(recorder, "m", {
+    pointerId: 2,
+    x: 12.5,
+    y: 20,
+    time: 1016,
+    pressure: 0.4,
+  });
+  const session = sessionBuilding(recorder);
+
+  assert.deepEqual(session, {
+    version: 1,
+    seed: 9,
+    options: { width: 120, height: 80, seed: "card" },
+    events: [
+      [0, "d", 2, 10, 20],
+      [16, "m", 2, 12.5, 20, 0.4],
+    ],
+  });
+  assert.deepEqual(sessionEventSample(session.events[0]), {
+    kind: "d",
+    time: 0,
+    pointerId: 2,
+    x: 10,
+    y: 20,
+    pressure: null,
+  });
+  assert.deepEqual(sessionParsing(JSON.stringify(session)), session);
+});
+
+test("unknown versions are rejected", () => {
+  assert.throws(
+    () => sessionParsing({ version: 2, events: [] }),
+    /unsupported session version 2/
+  );
+});
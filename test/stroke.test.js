@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { strokeBuilding, strokeEnding, strokeSampleAdding } from "../index.js";
+
+const stampsAdding = (inStroke, inPoints, inSpacing = 5) => {
+  return inPoints.map(([x, y, time = 0, scale]) =>
+    strokeSampleAdding(inStroke, { x, y, time, scale }, inSpacing)
+  );
+};
+
+const xsOf = (inStamps) => {
+  return inStamps.map((stamp) => Math.round(stamp.x * 1000) / 1000);
+};
+
+test("stamps keep their spacing across segments", () => {
+  const stroke = strokeBuilding();
+  const stamps = stampsAdding(stroke, [
+    [0, 0],
+    [7, 0],
+    [12, 0],
+    [20, 0],
+  ]);
+
+  assert.deepEqual(stamps.map(xsOf), [[0], [5], [10], [15, 20]]);
+  assert.deepEqual(xsOf(strokeEnding(stroke, 5)), []);
+});
+
+test("zero-length moves add no stamps and keep the carried distance", () => {
+  const stroke = strokeBuilding();
+  const stamps = stampsAdding(stroke, [
+    [0, 0],
+    [7, 0],
+    [7, 0],
+    [7, 0],
+    [12, 0],
+  ]);
+
+  assert.deepEqual(stamps.map(xsOf), [[0], [5], [], [], [10]]);
+});
+
+test("the stroke spacing wins over the brush spacing and scale follows", () => {
+  const stroke = strokeBuilding({ spacing: 4 });
+  const stamps = stampsAdding(
+    stroke,
+    [
+      [0, 0, 0, 1],
+      [0, 8, 100, 2],
+    ],
+    50
+  ).flat();
+
+  assert.deepEqual(
+    stamps.map((stamp) => [stamp.y, stamp.scale]),
+    [
+      [0, 1],
+      [4, 1.5],
+      [8, 2],
+    ]
+  );
+  assert.deepEqual(stamps[2].velocity, { x: 0, y: 80 });
+});
+
+test("smoothing waits for a third point and the end emits the last segment", () => {
+  const stroke = strokeBuilding({ smoothing: true });
+  const stamps = stampsAdding(stroke, [
+    [0, 0],
+    [10, 0],
+    [20, 0],
+  ]);
+
+  assert.deepEqual(stamps.map(xsOf), [[0], [], [5, 10]]);
+  const ending = strokeEnding(stroke, 5);
+  assert.deepEqual(xsOf(ending), [15, 20]);
+  assert.ok(ending.every((stamp) => Math.abs(stamp.y) < 1e-9));
+  assert.deepEqual(stroke.points, []);
+  assert.deepEqual(strokeEnding(stroke, 5), []);
+});
+
+test("smoothed strokes curve off the straight lines and keep their spacing", () => {
+  const stroke = strokeBuilding({ smoothing: true, spacing: 2 });
+  const stamps = [
+    ...stampsAdding(stroke, [
+      [0, 0],
+      [20, 0],
+      [20, 20],
+    ]).flat(),
+    ...strokeEnding(stroke, 2),
+  ];
+
+  assert.ok(
+    stamps.some(
+      (stamp) => Math.abs(stamp.y) > 0.1 && Math.abs(stamp.x - 20) > 0.1
+    )
+  );
+  stamps.slice(1).forEach((stamp, index) => {
+    const previous = stamps[index];
+    const gap = Math.hypot(stamp.x - previous.x, stamp.y - previous.y);
+    assert.ok(gap <= 2 + 1e-9 && gap > 1);
+  });
+});
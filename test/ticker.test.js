@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import { Canvas, environment, Rect, Scene, Ticker } from "../index.js";
+import {
+  environmentTestingHooks,
+  FakeClock,
+  MemoryCanvas,
+} from "../testing.js";
+
+// every frame comes 50ms after the previous one, later than any ticker here
+environmentTestingHooks({ beforeEach, afterEach }, () => ({
+  clock: new FakeClock(0, 50),
+}));
+
+const tickerRunning = (inDelayMs, inFixedStep) => {
+  const deltas = [];
+  const ticker = new Ticker(inDelayMs, (dt) => deltas.push(dt))
+    .useFixedStep(inFixedStep)
+    .run();
+  return { deltas, ticker };
+};
+
+test("a variable step ticks once with the late delta", async () => {
+  const { deltas, ticker } = tickerRunning(10, false);
+  await environment().clock.advanceFrames(3);
+
+  assert.deepEqual(deltas, [10, 50, 50]);
+  assert.equal(ticker.elapsedMs(), 110);
+  ticker.stop();
+});
+
+test("a fixed step catches up a late frame in whole steps", async () => {
+  const { deltas, ticker } = tickerRunning(25, true);
+  await environment().clock.advanceFrames(3);
+
+  assert.deepEqual(deltas, [25, 25, 25, 25, 25]);
+  assert.equal(ticker.frame(), 5);
+  ticker.stop();
+});
+
+test("a fixed step carries the remainder to the next frame", async () => {
+  const { deltas, ticker } = tickerRunning(20, true);
+  const ticksPerFrame = [];
+  for (let frame = 0; frame < 4; frame++) {
+    const before = deltas.length;
+    await environment().clock.advanceFrames(1);
+    ticksPerFrame.push(deltas.length - before);
+  }
+
+  // 50ms frames in 20ms steps: 10ms left over, then 60ms make three
+  assert.deepEqual(ticksPerFrame, [1, 2, 3, 2]);
+  assert.ok(deltas.every((delta) => delta === 20));
+  ticker.stop();
+});
+
+test("a fixed step drops the backlog past five steps a frame", async () => {
+  const { deltas, ticker } = tickerRunning(5, true);
+  await environment().clock.advanceFrames(2);
+
+  assert.equal(deltas.length, 1 + 5);
+  deltas.length = 0;
+  await environment().clock.advanceFrames(1);
+  assert.equal(deltas.length, 5);
+  ticker.setTimeScale(0.5);
+  await environment().clock.advanceFrames(1);
+  assert.deepEqual(deltas.slice(5), [2.5, 2.5, 2.5, 2.5, 2.5]);
+  ticker.stop();
+});
+
+test("an idle ticker sleeps while the scene is empty or hidden", async () => {
+  const scene = new Scene(new Canvas(new MemoryCanvas(10, 10)));
+  const { deltas, ticker } = tickerRunning(10, false);
+  ticker.idleWhenEmpty(scene);
+  await environment().clock.advanceFrames(1);
+
+  assert.equal(ticker.isIdle(), true);
+  assert.equal(environment().clock.pendingCount(), 0);
+  scene.addObject(new Rect(1, 1, 0, 0));
+  await environment().clock.advanceFrames(1);
+  assert.equal(ticker.isIdle(), false);
+
+  environment().setHidden(true);
+  const ticks = deltas.length;
+  await environment().clock.advanceFrames(2);
+  assert.equal(ticker.isIdle(), true);
+  assert.ok(deltas.length <= ticks + 1);
+
+  environment().setHidden(false);
+  await environment().clock.advanceFrames(1);
+  assert.deepEqual(deltas.slice(-1), [10]);
+  ticker.stop();
+});
@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, test } from "node:test";
+import {
+  environment,
+  environmentSetting,
+  randomSeedDrawing,
+  randomSeeded,
+  sandWorkerDustHandler,
+} from "../index.js";
+import {
+  cardTestingBuilding,
+  cardTestingImages,
+  environmentTestingHooks,
+  MemoryCanvas,
+  strokeTestingScratching,
+  workerTestingBuilding,
+} from "../testing.js";
+
+const workers = [];
+const dustCanvasElement = { current: null };
+
+environmentTestingHooks({ beforeEach, afterEach }, () => {
+  workers.splice(0);
+  dustCanvasElement.current = new MemoryCanvas(60, 40);
+  dustCanvasElement.current.transferControlToOffscreen = () => ({});
+  return {
+    images: cardTestingImages(),
+    elements: { "#dust": dustCanvasElement.current },
+    startWorker: () => workers[workers.push(workerTestingBuilding()) - 1],
+  };
+});
+
+// full-canvas reads on the layer canvases are coverage scans
+const scanRecording = (inScans, inCanvasElement, inArgs) => {
+  if (
+    inArgs[2] === inCanvasElement.width &&
+    inArgs[3] === inCanvasElement.height
+  ) {
+    inScans.push(inArgs);
+  }
+};
+
+const messageTypes = (inWorker) => {
+  return inWorker.messages.map((message) => message.type ?? "scan");
+};
+
+test("the dust worker gets the canvas, the dust and the page state", () => {
+  const dustHandler = sandWorkerDustHandler("#dust", ["#f00"]);
+  dustHandler(
+    5,
+    { width: 10, height: 10 },
+    { x: 20, y: 20 },
+    { random: randomSeeded(3) }
+  );
+  environment().setHidden(true);
+  environment().resize();
+
+  assert.deepEqual(messageTypes(workers[0]), [
+    "init",
+    "dust",
+    "visibility",
+    "resize",
+  ]);
+  assert.equal(
+    workers[0].messages[1].dust.seed,
+    randomSeedDrawing(randomSeeded(3))
+  );
+  dustHandler.destroy();
+});
+
+test("destroy ends the dust worker and its listeners", () => {
+  const dustHandler = sandWorkerDustHandler("#dust", ["#f00"]);
+  dustHandler.destroy();
+  environment().setHidden(true);
+  environment().resize();
+  dustHandler(5, { width: 10, height: 10 }, { x: 20, y: 20 });
+
+  assert.equal(workers[0].terminated, true);
+  assert.deepEqual(messageTypes(workers[0]), ["init"]);
+});
+
+test("a failing dust worker hands the dust to a main-thread copy of the canvas", async () => {
+  let fallbackElement = null;
+  dustCanvasElement.current.replaceWith = (inElement) => {
+    fallbackElement = inElement;
+  };
+  const dustHandler = sandWorkerDustHandler("#dust", ["#f00"], {
+    gravity: 0,
+  });
+  workers[0].dispatchEvent(new Event("error"));
+  assert.equal(workers[0].terminated, true);
+  assert.equal(fallbackElement.width, 60);
+
+  environment().resize();
+  dustHandler(20, { width: 20, height: 20 }, { x: 30, y: 20 });
+  await environment().clock.advanceFrames(20);
+  assert.deepEqual(messageTypes(workers[0]), ["init"]);
+  const pixels = fallbackElement.getContext("2d").getImageData(0, 0, 60, 40);
+  assert.ok(pixels.data.some((value, index) => index % 4 === 3 && value));
+
+  dustHandler.destroy();
+  await environment().clock.advance(5000);
+  assert.equal(environment().clock.pendingCount(), 0);
+});
+
+test("a failing coverage worker leaves strokes on the tracked grid", async () => {
+  const scans = [];
+  const createCanvas = environment().createCanvas;
+  environmentSetting({
+    createCanvas: (inWidth, inHeight) => {
+      const canvasElement = createCanvas(inWidth, inHeight);
+      const canvasCtx = canvasElement.getContext("2d");
+      const getImageData = canvasCtx.getImageData.bind(canvasCtx);
+      canvasCtx.getImageData = (...inArgs) => {
+        scanRecording(scans, canvasElement, inArgs);
+        return getImageData(...inArgs);
+      };
+      return canvasElement;
+    },
+  });
+  const { canvasElement, card } = await cardTestingBuilding({
+    coverageWorker: "./coverage-worker.js",
+  });
+  const worker = workers[0];
+  await strokeTestingScratching(canvasElement, 20, 0, 60);
+  assert.deepEqual(messageTypes(worker), ["scan"]);
+
+  worker.dispatchEvent(new Event("error"));
+  assert.equal(worker.terminated, true);
+  const scanCount = scans.length;
+  const progress = card.getProgress();
+  await strokeTestingScratching(canvasElement, 60, 0, 60);
+
+  assert.ok(card.getProgress() > progress);
+  assert.equal(scans.length, scanCount);
+  assert.deepEqual(messageTypes(worker), ["scan"]);
+  assert.equal(typeof (await card.exactProgress()), "number");
+  card.destroy();
+});
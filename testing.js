@@ -0,0 +1,183 @@
+import {
+  environment,
+  environmentRestoring,
+  environmentSetting,
+} from "./environment.js";
+import { FakeClock } from "./fake-clock.js";
+import { MemoryCanvas, MemoryPath } from "./memory-canvas.js";
+import { randomSeeded } from "./random.js";
+import { scratch, scratchImagesLoading } from "./scratch.js";
+
+const environmentTesting = (inOptions = {}) => {
+  const clock = inOptions.clock ?? new FakeClock();
+  const elements = inOptions.elements ?? {};
+  const images = inOptions.images ?? {};
+  const windowTarget = new EventTarget();
+  const visibilityTarget = new EventTarget();
+  const resizeTarget = new EventTarget();
+  let hidden = false;
+
+  return {
+    ...clock.adapters(),
+    clock,
+    createCanvas: (inWidth = 300, inHeight = 150) =>
+      new MemoryCanvas(inWidth, inHeight),
+    createPath: () => new MemoryPath(),
+    loadImage: (inUrl) =>
+      inUrl in images
+        ? Promise.resolve(images[inUrl])
+        : Promise.reject(`No image for ${inUrl}`),
+    fetch: inOptions.fetch ?? (() => Promise.reject("No fetch in tests")),
+    query: (inSelector) => elements[inSelector] ?? null,
+    pixelRatio: () => inOptions.pixelRatio ?? 1,
+    random: randomSeeded(inOptions.seed ?? 1),
+    isHidden: () => hidden,
+    setHidden: (inHidden) => {
+      hidden = inHidden;
+      visibilityTarget.dispatchEvent(new Event("visibilitychange"));
+    },
+    watchVisibility: (inFn) => {
+      visibilityTarget.addEventListener("visibilitychange", inFn);
+      return () =>
+        visibilityTarget.removeEventListener("visibilitychange", inFn);
+    },
+    watchResize: (inElement, inResizeFn) => {
+      resizeTarget.addEventListener("resize", inResizeFn);
+      return () => resizeTarget.removeEventListener("resize", inResizeFn);
+    },
+    resize: () => resizeTarget.dispatchEvent(new Event("resize")),
+    windowTarget: () => windowTarget,
+    startWorker: inOptions.startWorker ?? (() => null),
+  };
+};
+
+/**
+ * Sets a fresh testing environment before every test and restores the
+ * previous one after it; environment() reaches it, clock included
+ * @param {object} inHooks beforeEach and afterEach of the test runner
+ * @param {object|function(): object} inOptions environmentTesting() options
+ */
+const environmentTestingHooks = (inHooks, inOptions = {}) => {
+  let previousEnvironment;
+  inHooks.beforeEach(() => {
+    previousEnvironment = environmentSetting(
+      environmentTesting(
+        typeof inOptions === "function" ? inOptions() : inOptions
+      )
+    );
+  });
+  inHooks.afterEach(() => environmentRestoring(previousEnvironment));
+};
+
+const canvasRectBuilding = (inWidth, inHeight = inWidth) => {
+  const canvasElement = new MemoryCanvas(inWidth, inHeight);
+  canvasElement.getContext("2d").fillRect(0, 0, inWidth, inHeight);
+  return canvasElement;
+};
+
+const canvasCircleBuilding = (inSize) => {
+  const canvasElement = new MemoryCanvas(inSize, inSize);
+  const canvasCtx = canvasElement.getContext("2d");
+  canvasCtx.beginPath();
+  canvasCtx.arc(inSize / 2, inSize / 2, inSize / 2, 0, 2 * Math.PI);
+  canvasCtx.fill();
+  return canvasElement;
+};
+
+// the brushes cardTestingBuilding() scratches with
+const cardTestingImages = () => {
+  return {
+    "./brush.svg": canvasCircleBuilding(20),
+    "./bar.svg": canvasRectBuilding(24, 6),
+  };
+};
+
+/**
+ * A 120×80 card with a red cover, drawn on the testing environment
+ * @param {object} inOptions scratch() options over the defaults
+ * @returns {Promise<object>} canvasElement and card
+ */
+const cardTestingBuilding = async (inOptions = {}) => {
+  const canvasElement = new MemoryCanvas(120, 80);
+  const card = scratch({
+    canvasElement,
+    cover: [{ type: "color", color: "#c0392b" }],
+    dustHandler: () => {},
+    scratchImages: scratchImagesLoading(["./brush.svg"]),
+    ...inOptions,
+  });
+  await environment().clock.advanceFrames(1);
+  return { canvasElement, card };
+};
+
+const strokeTestingScratching = async (
+  inCanvasElement,
+  inY,
+  inFromX,
+  inToX
+) => {
+  inCanvasElement.dispatchEvent(
+    pointerEventBuilding("pointerdown", { clientX: inFromX, clientY: inY })
+  );
+  for (let x = inFromX; x <= inToX; x += 10) {
+    inCanvasElement.dispatchEvent(
+      pointerEventBuilding("pointermove", { clientX: x, clientY: inY })
+    );
+    await environment().clock.advanceFrames(1);
+  }
+  inCanvasElement.dispatchEvent(
+    pointerEventBuilding("pointerup", { clientX: inToX, clientY: inY })
+  );
+  await environment().clock.advanceFrames(2);
+};
+
+const canvasPixelAt = (inCanvasElement, inX, inY) => {
+  return [
+    ...inCanvasElement.getContext("2d").getImageData(inX, inY, 1, 1).data,
+  ];
+};
+
+const pointerEventBuilding = (inType, inOptions = {}) => {
+  const event = new Event(inType, { cancelable: true });
+  Object.entries({
+    pointerId: 1,
+    pointerType: "mouse",
+    pressure: 0.5,
+    clientX: 0,
+    clientY: 0,
+    timeStamp: environment().now(),
+    ...inOptions,
+  }).forEach(([key, value]) => Object.defineProperty(event, key, { value }));
+  return event;
+};
+
+/**
+ * A worker stand-in that keeps the posted messages; dispatch "error" on it to
+ * fail it
+ * @returns {EventTarget} with postMessage(), terminate(), messages, terminated
+ */
+const workerTestingBuilding = () => {
+  const worker = new EventTarget();
+  worker.messages = [];
+  worker.terminated = false;
+  worker.postMessage = (inMessage) => worker.messages.push(inMessage);
+  worker.terminate = () => {
+    worker.terminated = true;
+  };
+  return worker;
+};
+
+export * from "./fake-clock.js";
+export * from "./memory-canvas.js";
+export {
+  environmentTesting,
+  environmentTestingHooks,
+  canvasRectBuilding,
+  canvasCircleBuilding,
+  cardTestingImages,
+  cardTestingBuilding,
+  strokeTestingScratching,
+  canvasPixelAt,
+  pointerEventBuilding,
+  workerTestingBuilding,
+};
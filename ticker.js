@@ -0,0 +1,203 @@
+import { environment } from "./environment.js";
+
+class FPS {
+  #fps;
+
+  constructor(fps) {
+    this.#fps = fps;
+  }
+
+  ms() {
+    return 1000 / this.#fps;
+  }
+}
+
+class Ticker {
+  #delayMs;
+  #tickFn;
+  #deltaMs;
+  #timeScale = 1;
+  #fixedStep = false;
+  #maxDeltaMs = 100;
+  #state = "stopped";
+  #frameId = null;
+  #lastTime = null;
+  #accumulatedMs = 0;
+  #elapsedMs = 0;
+  #frames = 0;
+  #idleFns = [];
+  #unwatchVisibility = null;
+
+  /**
+   * @param {number} delayMs target frame duration, the step in fixed mode
+   * @param {Function} tickFn receives the elapsed (scaled) ms
+   */
+  constructor(delayMs, tickFn) {
+    this.#delayMs = delayMs;
+    this.#tickFn = tickFn;
+    this.#deltaMs = delayMs;
+  }
+
+  delayMs() {
+    return this.#delayMs;
+  }
+
+  /**
+   * @returns {number} scaled ms of the current tick
+   */
+  deltaMs() {
+    return this.#deltaMs;
+  }
+
+  /**
+   * @returns {number} scaled ms ticked since run()
+   */
+  elapsedMs() {
+    return this.#elapsedMs;
+  }
+
+  /**
+   * @returns {number} ticks since run()
+   */
+  frame() {
+    return this.#frames;
+  }
+
+  timeScale() {
+    return this.#timeScale;
+  }
+
+  /**
+   * @param {number} timeScale 1 is real time, 0.25 is slow motion
+   */
+  setTimeScale(timeScale) {
+    this.#timeScale = Math.max(0, timeScale);
+    return this;
+  }
+
+  /**
+   * @param {boolean} fixedStep tick by exactly delayMs, catching up if late
+   */
+  useFixedStep(fixedStep = true) {
+    this.#fixedStep = fixedStep;
+    return this;
+  }
+
+  /**
+   * @param {Scene} scene
+   */
+  idleWhenEmpty(scene) {
+    this.#idleFns.push(() => scene.isEmpty());
+    scene.onObjectAdded(() => this.wake());
+    this.wake();
+    return this;
+  }
+
+  isRunning() {
+    return this.#state === "running";
+  }
+
+  isIdle() {
+    return this.isRunning() && this.#frameId === null;
+  }
+
+  run() {
+    if (this.#state !== "stopped") {
+      return this;
+    }
+
+    this.#unwatchVisibility = environment().watchVisibility(() => this.wake());
+    this.#state = "running";
+    this.wake();
+    return this;
+  }
+
+  pause() {
+    if (this.#state === "running") {
+      this.#state = "paused";
+      this.#cancelFrame();
+    }
+    return this;
+  }
+
+  resume() {
+    if (this.#state === "paused") {
+      this.#state = "running";
+      this.wake();
+    }
+    return this;
+  }
+
+  stop() {
+    this.#state = "stopped";
+    this.#cancelFrame();
+    this.#unwatchVisibility?.();
+    this.#unwatchVisibility = null;
+    return this;
+  }
+
+  wake() {
+    if (this.#state === "running" && this.#frameId === null && !this.#idle()) {
+      this.#lastTime = null;
+      this.#accumulatedMs = 0;
+      this.#requestFrame();
+    }
+    return this;
+  }
+
+  #idle() {
+    return environment().isHidden() || this.#idleFns.some((idleFn) => idleFn());
+  }
+
+  #requestFrame() {
+    const frameFn = (time) => {
+      this.#frameId = null;
+      this.#frame(time);
+      if (this.#state === "running" && !this.#idle()) {
+        this.#requestFrame();
+      }
+    };
+    this.#frameId = environment().requestFrame(frameFn);
+  }
+
+  #cancelFrame() {
+    if (this.#frameId !== null) {
+      environment().cancelFrame(this.#frameId);
+    }
+    this.#frameId = null;
+    this.#lastTime = null;
+  }
+
+  #frame(time) {
+    const elapsedMs =
+      this.#lastTime === null
+        ? this.#delayMs
+        : Math.min(this.#maxDeltaMs, time - this.#lastTime);
+    this.#lastTime = time;
+    this.#accumulatedMs += elapsedMs;
+    if (this.#accumulatedMs < this.#delayMs * 0.9) {
+      return;
+    }
+
+    if (!this.#fixedStep) {
+      this.#deltaMs = this.#accumulatedMs * this.#timeScale;
+      this.#accumulatedMs = 0;
+      this.#tick();
+      return;
+    }
+
+    this.#deltaMs = this.#delayMs * this.#timeScale;
+    for (let steps = 0; this.#accumulatedMs >= this.#delayMs * 0.9; steps++) {
+      this.#accumulatedMs = steps < 4 ? this.#accumulatedMs - this.#delayMs : 0;
+      this.#tick();
+    }
+  }
+
+  #tick() {
+    this.#elapsedMs += this.#deltaMs;
+    this.#frames++;
+    this.#tickFn(this.#deltaMs);
+  }
+}
+
+export { FPS, Ticker };